@@ -0,0 +1,133 @@
+// Ranked route alternatives of one request: building the distinct alternatives from the
+// detour budget profiles, and selecting the one the client drives, which alone gets audio
+import { buildAudioJob, enqueueJobs, refreshRouteProgress, wakeJobWorker } from './jobs.ts';
+
+// Detour budget profiles for ranked alternatives, as a share of max_time_increase_percent.
+// Listed by rank: the most scenic alternative is the primary route.
+export const ROUTE_ALTERNATIVE_PROFILES = [
+  { label: 'max_scenic', budget_share: 1.0 },
+  { label: 'balanced', budget_share: 0.5 },
+  { label: 'fastest', budget_share: 0.2 } // Fastest route that still carries a few stories
+];
+
+// Identify a POI set regardless of order, for de-duplicating alternatives
+export function getPOISetKey(pois: any[]): string {
+  return pois.map(poi => poi.google_place_id).sort().join('|');
+}
+
+// Label the variants built for each profile, in profile order, and rank them. Budgets can
+// converge on the same POI set, so only the first variant of each set is kept and the ones
+// left are ranked without gaps.
+export function rankDistinctAlternatives(variants: any[]): any[] {
+  const seenKeys = new Set<string>();
+  const distinct: any[] = [];
+
+  variants.forEach((variant, i) => {
+    const key = getPOISetKey(variant.pois);
+    if (seenKeys.has(key)) return;
+
+    seenKeys.add(key);
+    distinct.push({ ...variant, label: ROUTE_ALTERNATIVE_PROFILES[i].label, rank: distinct.length + 1 });
+  });
+
+  return distinct;
+}
+
+// Outcome of selecting an alternative: the response body, or the HTTP error to answer with
+export type AlternativeSelection =
+  | { body: any; error?: undefined }
+  | { error: { status: number; code: string; message: string } };
+
+// Mark a route as the selected alternative of its request and queue audio for its stories
+// that already have content; the rest are queued by generate-content when it finishes them.
+// Selecting again is safe, so a failed enqueue is reported for the client to retry.
+export async function selectRouteAlternative(supabase: any, routeId: string): Promise<AlternativeSelection> {
+  const { data: route, error: routeError } = await supabase
+    .from('routes')
+    .select('id, request_id, status')
+    .eq('id', routeId)
+    .single();
+
+  if (routeError || !route) {
+    return { error: { status: 404, code: 'ROUTE_NOT_FOUND', message: 'Route not found' } };
+  }
+
+  if (route.request_id) {
+    await supabase
+      .from('routes')
+      .update({ is_selected: false })
+      .eq('request_id', route.request_id)
+      .neq('id', routeId);
+  }
+
+  const { error: updateError } = await supabase
+    .from('routes')
+    .update({ is_selected: true })
+    .eq('id', routeId);
+
+  if (updateError) {
+    console.error('Alternative selection error:', updateError);
+    return { error: { status: 500, code: 'DATABASE_ERROR', message: 'Failed to select route' } };
+  }
+
+  const { data: stories, error: storiesError } = await supabase
+    .from('stories')
+    .select('id, route_id, content, generation_metadata')
+    .eq('route_id', routeId)
+    .not('content_generated_at', 'is', null)
+    .is('audio_url', null);
+
+  if (storiesError) {
+    console.error('Selected route stories fetch error:', storiesError);
+  }
+
+  // Skip stories whose audio is already queued, e.g. when the same route is selected twice
+  const { data: pendingJobs } = await supabase
+    .from('generation_jobs')
+    .select('story_id')
+    .eq('route_id', routeId)
+    .eq('stage', 'audio')
+    .in('status', ['queued', 'running']);
+  const pendingStoryIds = new Set((pendingJobs || []).map((job: any) => job.story_id));
+
+  const audioJobs = (stories || [])
+    .filter((story: any) => !pendingStoryIds.has(story.id))
+    .map((story: any) => buildAudioJob(story, story.generation_metadata?.driving_speed || 'normal'));
+  const enqueueError = await enqueueJobs(supabase, audioJobs);
+
+  if (enqueueError) {
+    console.error('Audio job enqueue error:', enqueueError);
+    return {
+      error: { status: 500, code: 'DATABASE_ERROR', message: 'Failed to queue audio generation for the selected route' }
+    };
+  }
+
+  if (audioJobs.length > 0) {
+    await wakeJobWorker();
+  }
+
+  // Selection changes what each sibling needs to complete
+  const { data: siblings } = route.request_id
+    ? await supabase.from('routes').select('id').eq('request_id', route.request_id)
+    : { data: [{ id: routeId }] };
+
+  for (const sibling of siblings || []) {
+    await refreshRouteProgress(supabase, sibling.id);
+  }
+
+  const { data: selectedRoute } = await supabase
+    .from('routes')
+    .select('status')
+    .eq('id', routeId)
+    .single();
+
+  return {
+    body: {
+      route_id: routeId,
+      request_id: route.request_id,
+      status: selectedRoute?.status || route.status,
+      selected: true,
+      audio_jobs_queued: audioJobs.length
+    }
+  };
+}
@@ -0,0 +1,39 @@
+// Concurrency helpers shared by the Edge Functions
+
+// Rate limiter that spaces calls evenly at no more than maxPerSecond.
+// Await the returned function before each call; callers queue in arrival order.
+export function createRateLimiter(maxPerSecond: number): () => Promise<void> {
+  const intervalMs = 1000 / maxPerSecond;
+  let nextSlotMs = 0;
+
+  return async () => {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlotMs);
+    nextSlotMs = slot + intervalMs;
+
+    if (slot > now) {
+      await new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+  };
+}
+
+// Map items through an async function with at most `limit` calls in flight.
+// Results keep the order of the input items.
+export async function mapWithConcurrency<T, R>(
+  items: T[],
+  limit: number,
+  fn: (item: T, index: number) => Promise<R>
+): Promise<R[]> {
+  const results: R[] = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
@@ -0,0 +1,27 @@
+// Distance helpers for [lat, lng] points and decoded route coordinates
+
+// Great-circle distance in meters between two [lat, lng] points
+export function calculateDistanceMeters(from: number[], to: number[]): number {
+  const earthRadius = 6371000;
+  const toRadians = (degrees: number) => degrees * Math.PI / 180;
+  const dLat = toRadians(to[0] - from[0]);
+  const dLng = toRadians(to[1] - from[1]);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from[0])) * Math.cos(toRadians(to[0])) * Math.sin(dLng / 2) ** 2;
+  return 2 * earthRadius * Math.asin(Math.sqrt(a));
+}
+
+// Index of the route coordinate closest to a point, searching from startIndex onwards
+export function findNearestCoordinateIndex(coordinates: number[][], point: number[], startIndex = 0): number {
+  let nearestIndex = startIndex;
+  let nearestDistance = Infinity;
+
+  for (let i = startIndex; i < coordinates.length; i++) {
+    const distance = calculateDistanceMeters(coordinates[i], point);
+    if (distance < nearestDistance) {
+      nearestDistance = distance;
+      nearestIndex = i;
+    }
+  }
+  return nearestIndex;
+}
@@ -0,0 +1,42 @@
+// Multi-stop itineraries: the order user stops are visited in, where they fall on the route,
+// and how POI detours slot in between them
+import { findNearestCoordinateIndex } from './geometry.ts';
+
+// Visiting order of the user stops as indexes into via_locations: the order Directions chose
+// when it was allowed to reorder them, otherwise the order given
+export function resolveViaOrder(viaCount: number, optimizeViaOrder: boolean, waypointOrder?: number[]): number[] {
+  return optimizeViaOrder && waypointOrder?.length === viaCount
+    ? waypointOrder
+    : Array.from({ length: viaCount }, (_, i) => i);
+}
+
+// Find where each user stop falls along the decoded route
+export function locateStopsOnRoute(viaCoords: Array<[number, number]>, coordinates: number[][]): any[] {
+  let searchFrom = 0;
+  return viaCoords.map((location, stopIndex) => {
+    // Stops are visited in order, so each one lies after the previous
+    const routeIndex = findNearestCoordinateIndex(coordinates, location, searchFrom);
+    searchFrom = routeIndex;
+    return { stop_index: stopIndex, location, route_coordinate_index: routeIndex };
+  });
+}
+
+// Tag each POI with the leg of the itinerary it sits on
+export function assignPOIsToLegs(pois: any[], stops: any[]): any[] {
+  return pois.map(poi => {
+    const routeIndex = poi.metadata?.route_coordinate_index || 0;
+    const legIndex = stops.filter(stop => stop.route_coordinate_index <= routeIndex).length;
+    return { ...poi, metadata: { ...poi.metadata, leg_index: legIndex } };
+  });
+}
+
+// Interleave user stops and POI detours in route order for a Directions request
+export function mergeRouteWaypoints(stops: any[], pois: any[]): Array<{ location: number[]; stopover: boolean }> {
+  return [
+    ...stops.map(stop => ({ location: stop.location, stopover: true, order: stop.route_coordinate_index })),
+    ...pois.map(poi => ({ location: poi.location, stopover: false, order: poi.metadata?.route_coordinate_index || 0 }))
+  ]
+    // Stops sort ahead of POIs at the same index so a POI never lands on the wrong leg
+    .sort((a, b) => a.order - b.order || Number(b.stopover) - Number(a.stopover))
+    .map(({ location, stopover }) => ({ location, stopover }));
+}
@@ -0,0 +1,96 @@
+// Durable hand-off between the content and audio stages of story generation.
+// Jobs are rows in generation_jobs, claimed and retried by the process-jobs worker.
+
+export type JobStage = 'content' | 'audio';
+
+export interface GenerationJob {
+  stage: JobStage;
+  route_id: string;
+  story_id: string;
+  payload: any; // Request body for the stage's Edge Function
+}
+
+// Edge Function that performs each stage
+export const JOB_STAGE_FUNCTIONS: Record<JobStage, string> = {
+  content: 'generate-content',
+  audio: 'generate-audio'
+};
+
+// Queue jobs for the worker; returns the insert error, if any
+export async function enqueueJobs(supabase: any, jobs: GenerationJob[]): Promise<any> {
+  if (jobs.length === 0) return null;
+
+  const { error } = await supabase
+    .from('generation_jobs')
+    .insert(jobs.map(job => ({ ...job, status: 'queued' })));
+  return error;
+}
+
+// Content job for a story about a stored POI, in the request format of the generate-content function
+export function buildContentJob(story: any, poi: any, routeContext: any): GenerationJob {
+  return {
+    stage: 'content',
+    route_id: story.route_id,
+    story_id: story.id,
+    payload: {
+      story_id: story.id,
+      poi_data: {
+        id: poi.id,
+        name: poi.name,
+        address: poi.address,
+        poi_type: poi.poi_type,
+        google_place_id: poi.google_place_id,
+        google_rating: poi.google_rating,
+        review_count: poi.review_count
+      },
+      route_context: routeContext
+    }
+  };
+}
+
+// Audio job for a story, in the request format of the generate-audio function
+export function buildAudioJob(story: any, speed: string): GenerationJob {
+  return {
+    stage: 'audio',
+    route_id: story.route_id,
+    story_id: story.id,
+    payload: {
+      story_id: story.id,
+      content: story.content,
+      voice_settings: {
+        speed: speed,
+        voice_id: 'default'
+      }
+    }
+  };
+}
+
+// Recount a route's finished stories and move its progress and status along.
+// The database function locks the route row so jobs finishing together count in turn.
+export async function refreshRouteProgress(supabase: any, routeId: string): Promise<void> {
+  const { error } = await supabase.rpc('update_route_generation_progress', { target_route_id: routeId });
+  if (error) {
+    console.error('Route progress refresh error:', error);
+  }
+}
+
+// Ask the worker to start on queued jobs now rather than at its next scheduled run.
+// Failures are only logged: the jobs stay queued and the schedule picks them up.
+export async function wakeJobWorker(): Promise<void> {
+  try {
+    const response = await fetch(`${Deno.env.get('SUPABASE_URL')}/functions/v1/process-jobs`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')}`
+      },
+      body: '{}'
+    });
+
+    if (!response.ok) {
+      console.error('Job worker wake-up failed:', await response.text());
+    }
+  } catch (error) {
+    console.error('Job worker wake-up error:', error);
+  }
+}
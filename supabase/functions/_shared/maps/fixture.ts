@@ -0,0 +1,105 @@
+import { resolveTrafficBucket } from '../route-keys.ts';
+import type { DirectionsRequest, MapsProvider, RoutingOptions } from './types.ts';
+
+// Fixture files live at <dir>/<method>/<sha256 of the call arguments>.json and hold
+// { "request": [...arguments], "response": ... } as written by the recording provider.
+// Departure times are keyed by their traffic bucket, as route cache keys are, since callers
+// derive them from the current time.
+
+// Maps provider that replays recorded responses from disk, for running the pipeline offline
+export function createFixtureMapsProvider(fixtureDir: string): MapsProvider {
+  const replay = async (method: string, args: any[]) => {
+    const path = await getFixturePath(fixtureDir, method, args);
+    let contents: string;
+    try {
+      contents = await Deno.readTextFile(path);
+    } catch (error) {
+      throw new Error(
+        `No maps fixture for ${method}(${JSON.stringify(args)}) at ${path}; ` +
+        `record one with MAPS_PROVIDER=google and MAPS_FIXTURE_RECORD=true (${error instanceof Error ? error.message : error})`
+      );
+    }
+    return JSON.parse(contents).response;
+  };
+
+  return {
+    name: 'fixture',
+    geocode: (address: string) => replay('geocode', [address]),
+    reverseGeocode: (location: number[]) => replay('reverseGeocode', [location]),
+    directions: (request: DirectionsRequest) => replay('directions', [request]),
+    distanceMatrix: (origins: number[][], destinations: number[][], options: RoutingOptions) =>
+      replay('distanceMatrix', [origins, destinations, options]),
+    nearbyPlaces: (location: number[], radiusMeters: number, type: string, keyword?: string) =>
+      replay('nearbyPlaces', [location, radiusMeters, type, keyword ?? null]),
+    placeDetails: (placeId: string, fields: string[]) => replay('placeDetails', [placeId, fields])
+  };
+}
+
+// Wrap a provider so every response is also written as a fixture
+export function createRecordingMapsProvider(provider: MapsProvider, fixtureDir: string): MapsProvider {
+  const record = async (method: string, args: any[], response: any) => {
+    const path = await getFixturePath(fixtureDir, method, args);
+    try {
+      await Deno.mkdir(`${fixtureDir}/${method}`, { recursive: true });
+      await Deno.writeTextFile(path, JSON.stringify({ request: args, response }, null, 2));
+    } catch (error) {
+      console.error(`Failed to record maps fixture ${path}:`, error);
+    }
+    return response;
+  };
+
+  return {
+    name: `${provider.name}+recording`,
+    geocode: async (address: string) =>
+      record('geocode', [address], await provider.geocode(address)),
+    reverseGeocode: async (location: number[]) =>
+      record('reverseGeocode', [location], await provider.reverseGeocode(location)),
+    directions: async (request: DirectionsRequest) =>
+      record('directions', [request], await provider.directions(request)),
+    distanceMatrix: async (origins: number[][], destinations: number[][], options: RoutingOptions) =>
+      record('distanceMatrix', [origins, destinations, options], await provider.distanceMatrix(origins, destinations, options)),
+    nearbyPlaces: async (location: number[], radiusMeters: number, type: string, keyword?: string) =>
+      record(
+        'nearbyPlaces',
+        [location, radiusMeters, type, keyword ?? null],
+        await provider.nearbyPlaces(location, radiusMeters, type, keyword)
+      ),
+    placeDetails: async (placeId: string, fields: string[]) =>
+      record('placeDetails', [placeId, fields], await provider.placeDetails(placeId, fields))
+  };
+}
+
+// Fixture file path for a provider call, keyed by a hash of its arguments
+export async function getFixturePath(fixtureDir: string, method: string, args: any[]): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(getFixtureKeyArgs(method, args))));
+  const hash = Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+  return `${fixtureDir}/${method}/${hash}.json`;
+}
+
+// Call arguments as keyed, with the routing options' departure time replaced by its bucket
+function getFixtureKeyArgs(method: string, args: any[]): any[] {
+  switch (method) {
+    case 'directions':
+      return [{ ...args[0], options: keyRoutingOptions(args[0].options) }];
+    case 'distanceMatrix':
+      return [args[0], args[1], keyRoutingOptions(args[2])];
+    default:
+      return args;
+  }
+}
+
+// Routing options with departureTime (Unix seconds) replaced by the traffic bucket it falls in
+function keyRoutingOptions(options: RoutingOptions): any {
+  if (options?.departureTime === undefined) {
+    return options;
+  }
+
+  const departure = new Date(options.departureTime * 1000);
+  return {
+    ...options,
+    departureTime: undefined,
+    trafficBucket: resolveTrafficBucket({ departure_time: departure.toISOString() }, departure)
+  };
+}
@@ -0,0 +1,80 @@
+import type { MapsProvider } from './types.ts';
+
+// Cached geocoding results are refreshed after this many days
+const GEOCODE_CACHE_TTL_DAYS = 30;
+
+// Reverse geocoding keys round coordinates to 3 decimals (~110 m), plenty for a locality
+const REVERSE_GEOCODE_KEY_DECIMALS = 3;
+
+// Wrap a provider so geocode and reverseGeocode read through the geocode_cache table.
+// Cache failures are logged and fall through to the provider.
+export function withGeocodeCache(provider: MapsProvider, supabase: any): MapsProvider {
+  const readThrough = async (queryKey: string, queryType: string, lookup: () => Promise<any | null>) => {
+    const { data: cached, error: cacheError } = await supabase
+      .from('geocode_cache')
+      .select('result')
+      .eq('query_key', queryKey)
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+
+    if (cacheError) {
+      console.error('Geocode cache read error:', cacheError);
+    } else if (cached) {
+      return cached.result;
+    }
+
+    const result = await lookup();
+    if (result) {
+      const { error: writeError } = await supabase
+        .from('geocode_cache')
+        .upsert({
+          query_key: queryKey,
+          query_type: queryType,
+          result,
+          expires_at: new Date(Date.now() + GEOCODE_CACHE_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+        }, { onConflict: 'query_key' });
+
+      if (writeError) {
+        console.error('Geocode cache write error:', writeError);
+      }
+    }
+    return result;
+  };
+
+  return {
+    ...provider,
+    name: `${provider.name}+geocode-cache`,
+    geocode: (address: string) =>
+      readThrough(normalizeGeocodeQuery(address), 'forward', () => provider.geocode(address)),
+    reverseGeocode: (location: number[]) =>
+      readThrough(normalizeReverseGeocodeQuery(location), 'reverse', () => provider.reverseGeocode(location))
+  };
+}
+
+// Cache key for an address: case, spacing and trailing punctuation do not change the result
+export function normalizeGeocodeQuery(address: string): string {
+  return 'forward:' + address
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/\s*,\s*/g, ',')
+    .replace(/[.,;\s]+$/, '')
+    .trim();
+}
+
+// Cache key for a reverse lookup, rounded so nearby starts share an entry
+export function normalizeReverseGeocodeQuery([lat, lng]: number[]): string {
+  return `reverse:${lat.toFixed(REVERSE_GEOCODE_KEY_DECIMALS)},${lng.toFixed(REVERSE_GEOCODE_KEY_DECIMALS)}`;
+}
+
+// Locality, region and country from a Geocoding result's address_components
+export function describeLocality(result: any): { locality: string | null; region: string | null; country: string | null } {
+  const components: any[] = result?.address_components || [];
+  const find = (...types: string[]) =>
+    components.find(component => types.some(type => component.types?.includes(type)));
+
+  return {
+    locality: find('locality', 'postal_town', 'sublocality', 'administrative_area_level_2')?.long_name || null,
+    region: find('administrative_area_level_1')?.long_name || null,
+    country: find('country')?.long_name || null
+  };
+}
@@ -0,0 +1,104 @@
+import type { DirectionsRequest, MapsProvider, RoutingOptions } from './types.ts';
+
+const GOOGLE_MAPS_BASE_URL = 'https://maps.googleapis.com/maps/api';
+
+// Maps provider backed by the Google Maps Platform web services
+export function createGoogleMapsProvider(mapsApiKey: string, placesApiKey = mapsApiKey): MapsProvider {
+  return {
+    name: 'google',
+
+    async geocode(address: string): Promise<any | null> {
+      const data = await fetchGoogleJson(
+        `${GOOGLE_MAPS_BASE_URL}/geocode/json?address=${encodeURIComponent(address)}&key=${mapsApiKey}`
+      );
+      return data?.results?.[0] || null;
+    },
+
+    async reverseGeocode(location: number[]): Promise<any | null> {
+      const data = await fetchGoogleJson(
+        `${GOOGLE_MAPS_BASE_URL}/geocode/json?latlng=${formatLatLng(location)}&key=${mapsApiKey}`
+      );
+      return data?.results?.[0] || null;
+    },
+
+    async directions(request: DirectionsRequest): Promise<any | null> {
+      const waypointValues = request.waypoints.map(({ location: [lat, lng], stopover }) =>
+        stopover ? `${lat},${lng}` : `via:${lat},${lng}`
+      );
+      if (request.optimizeWaypoints) {
+        waypointValues.unshift('optimize:true');
+      }
+
+      const waypointParam = waypointValues.length > 0
+        ? `waypoints=${encodeURIComponent(waypointValues.join('|'))}&`
+        : '';
+
+      const data = await fetchGoogleJson(`${GOOGLE_MAPS_BASE_URL}/directions/json?` +
+        `origin=${formatLatLng(request.origin)}&` +
+        `destination=${formatLatLng(request.destination)}&` +
+        waypointParam +
+        buildRoutingParams(request.options) +
+        `key=${mapsApiKey}`);
+
+      if (data?.status !== 'OK' || !data.routes.length) {
+        return null;
+      }
+      return data.routes[0];
+    },
+
+    async distanceMatrix(origins: number[][], destinations: number[][], options: RoutingOptions): Promise<any | null> {
+      const data = await fetchGoogleJson(`${GOOGLE_MAPS_BASE_URL}/distancematrix/json?` +
+        `origins=${encodeURIComponent(origins.map(formatLatLng).join('|'))}&` +
+        `destinations=${encodeURIComponent(destinations.map(formatLatLng).join('|'))}&` +
+        buildRoutingParams(options) +
+        `key=${mapsApiKey}`);
+
+      if (data?.status !== 'OK') {
+        console.error('Distance Matrix error:', data?.status);
+        return null;
+      }
+      return data;
+    },
+
+    async nearbyPlaces(location: number[], radiusMeters: number, type: string, keyword?: string): Promise<any[]> {
+      const data = await fetchGoogleJson(`${GOOGLE_MAPS_BASE_URL}/place/nearbysearch/json?` +
+        `location=${formatLatLng(location)}&` +
+        `radius=${radiusMeters}&` +
+        `type=${encodeURIComponent(type)}&` +
+        (keyword ? `keyword=${encodeURIComponent(keyword)}&` : '') +
+        `key=${placesApiKey}`);
+      return data?.results || [];
+    },
+
+    async placeDetails(placeId: string, fields: string[]): Promise<any | null> {
+      const data = await fetchGoogleJson(`${GOOGLE_MAPS_BASE_URL}/place/details/json?` +
+        `place_id=${encodeURIComponent(placeId)}&` +
+        `fields=${fields.join(',')}&` +
+        `key=${placesApiKey}`);
+      return data?.status === 'OK' ? data.result : null;
+    }
+  };
+}
+
+// Build the travel mode, avoid and departure parameters shared by Directions and Distance Matrix
+// calls. Google only predicts traffic for driving.
+function buildRoutingParams(options: RoutingOptions): string {
+  return `mode=${options.mode}&` +
+    (options.avoid.length > 0 ? `avoid=${encodeURIComponent(options.avoid.join('|'))}&` : '') +
+    (options.departureTime && options.mode === 'driving' ? `departure_time=${options.departureTime}&` : '');
+}
+
+function formatLatLng([lat, lng]: number[]): string {
+  return `${lat},${lng}`;
+}
+
+// Fetch a Google web service URL, returning null on network or parse errors
+async function fetchGoogleJson(url: string): Promise<any | null> {
+  try {
+    const response = await fetch(url);
+    return await response.json();
+  } catch (error) {
+    console.error('Google Maps request error:', error);
+    return null;
+  }
+}
@@ -0,0 +1,49 @@
+import type { MapsProvider } from './types.ts';
+import { createGoogleMapsProvider } from './google.ts';
+import { createOsrmMapsProvider } from './osrm.ts';
+import { createFixtureMapsProvider, createRecordingMapsProvider } from './fixture.ts';
+
+export { describeLocality, withGeocodeCache } from './geocode-cache.ts';
+export type { DirectionsRequest, DirectionsWaypoint, MapsProvider, RoutingOptions } from './types.ts';
+
+const DEFAULT_FIXTURE_DIR = './fixtures/maps';
+
+// Create the maps provider selected by MAPS_PROVIDER:
+// - google (default): Google Maps Platform; set MAPS_FIXTURE_RECORD=true to also record fixtures
+// - osrm: routing from OSRM_URL, with geocoding and places from Google (or fixtures without a key)
+// - fixture: recorded responses from MAPS_FIXTURE_DIR, no network access
+export function createMapsProvider(): MapsProvider | null {
+  const providerName = Deno.env.get('MAPS_PROVIDER') || 'google';
+  const fixtureDir = Deno.env.get('MAPS_FIXTURE_DIR') || DEFAULT_FIXTURE_DIR;
+
+  const mapsApiKey = Deno.env.get('GOOGLE_MAPS_API_KEY');
+  const placesApiKey = Deno.env.get('GOOGLE_PLACES_API_KEY') || mapsApiKey;
+  const google = mapsApiKey ? createGoogleMapsProvider(mapsApiKey, placesApiKey) : null;
+
+  switch (providerName) {
+    case 'google':
+      if (!google) {
+        console.error('Google Maps API key not found');
+        return null;
+      }
+      return Deno.env.get('MAPS_FIXTURE_RECORD') === 'true'
+        ? createRecordingMapsProvider(google, fixtureDir)
+        : google;
+
+    case 'osrm': {
+      const osrmUrl = Deno.env.get('OSRM_URL');
+      if (!osrmUrl) {
+        console.error('OSRM_URL not configured');
+        return null;
+      }
+      return createOsrmMapsProvider(osrmUrl, google || createFixtureMapsProvider(fixtureDir));
+    }
+
+    case 'fixture':
+      return createFixtureMapsProvider(fixtureDir);
+
+    default:
+      console.error('Unknown MAPS_PROVIDER:', providerName);
+      return null;
+  }
+}
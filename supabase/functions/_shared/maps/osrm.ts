@@ -0,0 +1,264 @@
+import type { DirectionsRequest, MapsProvider, RoutingOptions } from './types.ts';
+
+// OSRM profile for each Google travel mode
+const OSRM_PROFILES: { [key: string]: string } = {
+  driving: 'driving',
+  bicycling: 'cycling'
+};
+
+// OSRM exclude class for each Google avoid value (the profile must define these classes)
+const OSRM_EXCLUDE_CLASSES: { [key: string]: string } = {
+  highways: 'motorway',
+  tolls: 'toll',
+  ferries: 'ferry'
+};
+
+// Maps provider that routes with a self-hosted OSRM server (for example one built from a
+// Geofabrik extract). OSRM has no geocoding or places, so those calls go to `fallback`.
+export function createOsrmMapsProvider(baseUrl: string, fallback: MapsProvider | null): MapsProvider {
+  const osrmUrl = baseUrl.replace(/\/$/, '');
+
+  return {
+    name: 'osrm',
+
+    async geocode(address: string): Promise<any | null> {
+      return fallback ? await fallback.geocode(address) : null;
+    },
+
+    async reverseGeocode(location: number[]): Promise<any | null> {
+      return fallback ? await fallback.reverseGeocode(location) : null;
+    },
+
+    async directions(request: DirectionsRequest): Promise<any | null> {
+      const profile = OSRM_PROFILES[request.options.mode] || 'driving';
+
+      // OSRM's trip service solves the stop order that Google returns as waypoint_order
+      let waypointOrder = request.waypoints.map((_, i) => i);
+      if (request.optimizeWaypoints && request.waypoints.length > 1) {
+        const trip = await fetchOsrmJson(`${osrmUrl}/trip/v1/${profile}/` +
+          formatOsrmCoordinates([request.origin, ...request.waypoints.map(w => w.location), request.destination]) +
+          `?source=first&destination=last&roundtrip=false` +
+          buildExcludeParam(request.options));
+
+        if (trip?.code === 'Ok') {
+          waypointOrder = [...waypointOrder].sort((a, b) =>
+            trip.waypoints[a + 1].waypoint_index - trip.waypoints[b + 1].waypoint_index
+          );
+        }
+      }
+
+      const orderedWaypoints = waypointOrder.map(i => request.waypoints[i]);
+      const data = await fetchOsrmJson(`${osrmUrl}/route/v1/${profile}/` +
+        formatOsrmCoordinates([request.origin, ...orderedWaypoints.map(w => w.location), request.destination]) +
+        `?overview=full&steps=true&geometries=polyline` +
+        buildExcludeParam(request.options));
+
+      if (data?.code !== 'Ok' || !data.routes?.length) {
+        return null;
+      }
+
+      return {
+        summary: data.routes[0].legs.map((leg: any) => leg.summary).filter(Boolean).join(', '),
+        legs: convertOsrmLegs(data.routes[0].legs, data.waypoints, orderedWaypoints.map(w => w.stopover)),
+        overview_polyline: { points: data.routes[0].geometry },
+        waypoint_order: request.optimizeWaypoints ? waypointOrder : [],
+        warnings: [],
+        copyrights: 'Routing by OSRM, map data © OpenStreetMap contributors'
+      };
+    },
+
+    async distanceMatrix(origins: number[][], destinations: number[][], options: RoutingOptions): Promise<any | null> {
+      const profile = OSRM_PROFILES[options.mode] || 'driving';
+      const sources = origins.map((_, i) => i).join(';');
+      const targets = destinations.map((_, i) => i + origins.length).join(';');
+
+      const data = await fetchOsrmJson(`${osrmUrl}/table/v1/${profile}/` +
+        formatOsrmCoordinates([...origins, ...destinations]) +
+        `?sources=${sources}&destinations=${targets}&annotations=duration,distance` +
+        buildExcludeParam(options));
+
+      if (data?.code !== 'Ok') {
+        console.error('OSRM table error:', data?.code);
+        return null;
+      }
+
+      return {
+        status: 'OK',
+        rows: data.durations.map((durations: Array<number | null>, i: number) => ({
+          elements: durations.map((duration, j) => duration === null
+            ? { status: 'ZERO_RESULTS' }
+            : {
+              status: 'OK',
+              duration: { value: Math.round(duration) },
+              distance: { value: Math.round(data.distances?.[i]?.[j] || 0) }
+            })
+        }))
+      };
+    },
+
+    async nearbyPlaces(location: number[], radiusMeters: number, type: string, keyword?: string): Promise<any[]> {
+      return fallback ? await fallback.nearbyPlaces(location, radiusMeters, type, keyword) : [];
+    },
+
+    async placeDetails(placeId: string, fields: string[]): Promise<any | null> {
+      return fallback ? await fallback.placeDetails(placeId, fields) : null;
+    }
+  };
+}
+
+// Group OSRM legs (one per coordinate pair) into Google legs, which only split at stopovers
+function convertOsrmLegs(osrmLegs: any[], osrmWaypoints: any[], stopovers: boolean[]): any[] {
+  const legs: any[] = [];
+  let current: any = null;
+
+  osrmLegs.forEach((osrmLeg, i) => {
+    if (!current) {
+      current = { startIndex: i, steps: [], distance: 0, duration: 0 };
+    }
+
+    // OSRM ends every leg with an arrive step, which Google does not have
+    current.steps.push(...osrmLeg.steps.filter((step: any) => step.maneuver.type !== 'arrive'));
+    current.distance += osrmLeg.distance;
+    current.duration += osrmLeg.duration;
+
+    const isLastLeg = i === osrmLegs.length - 1;
+    if (isLastLeg || stopovers[i]) {
+      const [startLng, startLat] = osrmWaypoints[current.startIndex].location;
+      const [endLng, endLat] = osrmWaypoints[i + 1].location;
+      const endLocation = { lat: endLat, lng: endLng };
+      const steps = current.steps.map(convertOsrmStep);
+
+      // Each step ends where the next one starts
+      steps.forEach((step: any, j: number) => {
+        step.end_location = j < steps.length - 1 ? steps[j + 1].start_location : endLocation;
+      });
+
+      legs.push({
+        start_location: { lat: startLat, lng: startLng },
+        end_location: endLocation,
+        distance: { value: Math.round(current.distance) },
+        duration: { value: Math.round(current.duration) },
+        steps: steps,
+        via_waypoint: []
+      });
+      current = null;
+    }
+  });
+
+  return legs;
+}
+
+// Convert an OSRM step to a Google Directions step
+function convertOsrmStep(step: any): any {
+  const [lng, lat] = step.maneuver.location;
+  return {
+    html_instructions: describeOsrmManeuver(step),
+    distance: { value: Math.round(step.distance) },
+    duration: { value: Math.round(step.duration) },
+    start_location: { lat, lng },
+    polyline: { points: step.geometry },
+    maneuver: step.mode === 'ferry' ? 'ferry' : mapOsrmManeuverToGoogle(step.maneuver),
+    travel_mode: step.mode === 'cycling' ? 'BICYCLING' : 'DRIVING'
+  };
+}
+
+// Map an OSRM maneuver type and modifier to a Google maneuver name
+function mapOsrmManeuverToGoogle(maneuver: any): string | undefined {
+  const modifier: string = maneuver.modifier || 'straight';
+  const side = modifier.includes('left') ? 'left' : 'right';
+
+  switch (maneuver.type) {
+    case 'merge':
+      return 'merge';
+    case 'on ramp':
+    case 'off ramp':
+      return `ramp-${side}`;
+    case 'fork':
+      return `fork-${side}`;
+    case 'roundabout':
+    case 'rotary':
+    case 'roundabout turn':
+    case 'exit roundabout':
+    case 'exit rotary':
+      return `roundabout-${side}`;
+    case 'turn':
+    case 'end of road':
+    case 'continue':
+    case 'new name':
+      if (modifier === 'uturn') return 'uturn-left';
+      if (modifier === 'straight') return 'straight';
+      return `turn-${modifier.replace(' ', '-')}`; // sharp left → turn-sharp-left
+    default:
+      return undefined; // depart, notification
+  }
+}
+
+// Short instruction text in the style of Google's html_instructions, with the road in bold
+function describeOsrmManeuver(step: any): string {
+  const roadName = step.name || step.ref || '';
+  const road = roadName ? `<b>${roadName}</b>` : '';
+  const { type, modifier, exit, bearing_after: bearingAfter } = step.maneuver;
+
+  let action: string;
+  switch (type) {
+    case 'depart':
+      action = `Head ${bearingToCardinal(bearingAfter)}`;
+      return road ? `${action} on ${road}` : action;
+    case 'roundabout':
+    case 'rotary':
+      action = exit ? `At the roundabout, take the <b>${formatOrdinal(exit)}</b> exit` : 'Enter the roundabout';
+      break;
+    case 'merge':
+      action = 'Merge';
+      break;
+    case 'on ramp':
+      action = 'Take the ramp';
+      break;
+    case 'off ramp':
+      action = 'Take the exit';
+      break;
+    case 'fork':
+      action = `Keep ${modifier?.includes('left') ? 'left' : 'right'} at the fork`;
+      break;
+    case 'continue':
+    case 'new name':
+      action = 'Continue';
+      break;
+    default:
+      action = modifier && modifier !== 'straight' ? `Turn ${modifier}` : 'Continue straight';
+  }
+
+  return road ? `${action} onto ${road}` : action;
+}
+
+// 1 → 1st, 2 → 2nd, 11 → 11th, as Google writes roundabout exits
+function formatOrdinal(n: number): string {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' } as any)[n % 10] || 'th';
+  return `${n}${suffix}`;
+}
+
+function bearingToCardinal(bearing = 0): string {
+  const directions = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+  return directions[Math.round(bearing / 45) % 8];
+}
+
+// OSRM takes lng,lat pairs separated by semicolons
+function formatOsrmCoordinates(points: number[][]): string {
+  return points.map(([lat, lng]) => `${lng},${lat}`).join(';');
+}
+
+function buildExcludeParam(options: RoutingOptions): string {
+  const classes = options.avoid.map(value => OSRM_EXCLUDE_CLASSES[value]).filter(Boolean);
+  return classes.length > 0 ? `&exclude=${classes.join(',')}` : '';
+}
+
+// Fetch an OSRM service URL, returning null on network or parse errors
+async function fetchOsrmJson(url: string): Promise<any | null> {
+  try {
+    const response = await fetch(url);
+    return await response.json();
+  } catch (error) {
+    console.error('OSRM request error:', error);
+    return null;
+  }
+}
@@ -0,0 +1,46 @@
+// Maps provider interface shared by the Edge Functions.
+// Every provider answers in the Google Maps web service shapes (Directions routes,
+// Distance Matrix rows, Geocoding and Places results) so callers work unchanged
+// whichever backend is configured.
+
+export interface RoutingOptions {
+  mode: string; // driving | bicycling
+  avoid: string[]; // highways | tolls | ferries
+  departureTime?: number; // Unix seconds; driving results then include duration_in_traffic
+}
+
+export interface DirectionsWaypoint {
+  location: number[]; // [latitude, longitude]
+  stopover: boolean; // Stopovers start a new leg; other waypoints are passed through
+}
+
+export interface DirectionsRequest {
+  origin: number[];
+  destination: number[];
+  waypoints: DirectionsWaypoint[];
+  optimizeWaypoints?: boolean;
+  options: RoutingOptions;
+}
+
+export interface MapsProvider {
+  name: string;
+
+  // First Geocoding result for an address, or null
+  geocode(address: string): Promise<any | null>;
+
+  // First reverse Geocoding result (with address_components) for a [latitude, longitude], or null
+  reverseGeocode(location: number[]): Promise<any | null>;
+
+  // First Directions route (legs, steps, overview_polyline, waypoint_order), or null.
+  // Step and overview polylines are encoded at Google's precision of 5 decimal places.
+  directions(request: DirectionsRequest): Promise<any | null>;
+
+  // Distance Matrix response with rows[origin].elements[destination], or null
+  distanceMatrix(origins: number[][], destinations: number[][], options: RoutingOptions): Promise<any | null>;
+
+  // Places Nearby Search results around a point, optionally narrowed by a keyword
+  nearbyPlaces(location: number[], radiusMeters: number, type: string, keyword?: string): Promise<any[]>;
+
+  // Place Details result for a place ID, or null
+  placeDetails(placeId: string, fields: string[]): Promise<any | null>;
+}
@@ -0,0 +1,241 @@
+// Choosing the POIs a route visits: a detour-budget optimizer over estimated detour costs,
+// then route variants through the chosen POIs priced with Directions calls
+
+// Maximum number of route variants priced with Directions calls per round
+const MAX_ROUTE_VARIANTS = 4;
+
+// Maximum POIs selected as stops on a single route
+export const MAX_ROUTE_POIS = 8;
+
+// Minimum number of stops per route (plan.md: "minimum 3-4 interesting stops")
+export const MIN_ROUTE_STOPS = 3;
+
+// Detour costs are rounded up to this granularity by the budget optimizer
+const DETOUR_COST_BUCKET_SECONDS = 15;
+
+// Rounds of optimizing and pricing before a scenic route falls back to the baseline
+const MAX_VARIANT_PRICING_ROUNDS = 3;
+
+// Select the POI set with the highest total score whose summed detour fits the budget.
+// Reaching MIN_ROUTE_STOPS takes precedence over score, so a route never trades
+// several good stops for one great one.
+export function optimizePOISelection(pois: any[], budgetSeconds: number): any {
+  const dropped: any[] = [];
+  const eligible: any[] = [];
+
+  for (const poi of pois) {
+    if (poi.detour_seconds === null || poi.detour_seconds === undefined) {
+      dropped.push(describeDroppedPOI(poi, 'detour_unavailable'));
+    } else if (poi.detour_seconds > budgetSeconds) {
+      dropped.push(describeDroppedPOI(poi, 'exceeds_time_budget'));
+    } else {
+      eligible.push(poi);
+    }
+  }
+
+  const capacity = Math.floor(budgetSeconds / DETOUR_COST_BUCKET_SECONDS);
+  const costs = eligible.map(poi => Math.ceil(poi.detour_seconds / DETOUR_COST_BUCKET_SECONDS));
+
+  // best[i][c][t]: highest score using the first i POIs with exactly c stops and at most t cost
+  const best: number[][][] = [];
+  best.push(Array.from({ length: MAX_ROUTE_POIS + 1 }, (_, c) =>
+    new Array(capacity + 1).fill(c === 0 ? 0 : -Infinity)
+  ));
+
+  for (let i = 1; i <= eligible.length; i++) {
+    const previous = best[i - 1];
+    const score = eligible[i - 1].popularity_score;
+    const cost = costs[i - 1];
+
+    best.push(previous.map((row, c) => row.map((value, t) => {
+      if (c > 0 && t >= cost && previous[c - 1][t - cost] + score > value) {
+        return previous[c - 1][t - cost] + score;
+      }
+      return value;
+    })));
+  }
+
+  // Rank end states by stops (up to the minimum) and then by total score
+  const final = best[eligible.length];
+  let bestCount = 0;
+  for (let c = 1; c <= MAX_ROUTE_POIS; c++) {
+    const current = final[c][capacity];
+    if (current === -Infinity) continue;
+
+    const currentRank = Math.min(c, MIN_ROUTE_STOPS);
+    const bestRank = Math.min(bestCount, MIN_ROUTE_STOPS);
+    if (currentRank > bestRank || (currentRank === bestRank && current > final[bestCount][capacity])) {
+      bestCount = c;
+    }
+  }
+
+  // Walk the table backwards to recover the chosen POIs
+  const selected: any[] = [];
+  let c = bestCount;
+  let t = capacity;
+  for (let i = eligible.length; i > 0 && c > 0; i--) {
+    if (best[i][c][t] !== best[i - 1][c][t]) {
+      selected.unshift(eligible[i - 1]);
+      t -= costs[i - 1];
+      c--;
+    }
+  }
+
+  const usedSeconds = selected.reduce((sum, poi) => sum + poi.detour_seconds, 0);
+  for (const poi of eligible) {
+    if (selected.includes(poi)) continue;
+    const reason = selected.length >= MAX_ROUTE_POIS && usedSeconds + poi.detour_seconds <= budgetSeconds
+      ? 'stop_limit_reached'
+      : 'budget_exhausted';
+    dropped.push(describeDroppedPOI(poi, reason));
+  }
+
+  return {
+    selected: selected,
+    dropped: dropped,
+    budget_seconds: Math.round(budgetSeconds),
+    used_seconds: usedSeconds,
+    min_stops_met: selected.length >= MIN_ROUTE_STOPS
+  };
+}
+
+// Describe a POI the optimizer left out, for tuning the selection
+export function describeDroppedPOI(poi: any, reason: string): any {
+  return {
+    google_place_id: poi.google_place_id,
+    name: poi.name,
+    popularity_score: poi.popularity_score,
+    detour_seconds: poi.detour_seconds ?? null,
+    reason: reason
+  };
+}
+
+// Summarize an optimizer result for the response metadata and logs
+export function summarizePOISelection(poiSelection: any): any {
+  return {
+    budget_seconds: poiSelection.budget_seconds,
+    used_seconds: poiSelection.used_seconds,
+    min_stops_met: poiSelection.min_stops_met,
+    selected: poiSelection.selected.map((poi: any) => ({
+      google_place_id: poi.google_place_id,
+      name: poi.name,
+      popularity_score: poi.popularity_score,
+      detour_seconds: poi.detour_seconds
+    })),
+    dropped: poiSelection.dropped
+  };
+}
+
+// Build waypoint sets from the selected POIs, dropping the lowest-scored stop each time
+export function buildRouteVariantCandidates(pois: any[]): any[][] {
+  const ranked = [...pois].sort((a, b) => b.popularity_score - a.popularity_score);
+
+  const candidates: any[][] = [];
+  for (let count = ranked.length; count >= 1 && candidates.length < MAX_ROUTE_VARIANTS; count--) {
+    // Visit waypoints in the order they appear along the baseline route
+    candidates.push(
+      ranked.slice(0, count).sort((a, b) =>
+        (a.metadata?.route_coordinate_index || 0) - (b.metadata?.route_coordinate_index || 0)
+      )
+    );
+  }
+  return candidates;
+}
+
+// Choose the variant with the highest total POI score within the time budget
+export function selectBestRouteVariant(
+  variants: Array<{ pois: any[]; time_seconds: number }>,
+  baselineTimeSeconds: number,
+  maxIncreasePercent: number
+): any | null {
+  const maxTimeSeconds = baselineTimeSeconds * (1 + maxIncreasePercent / 100);
+  let best: any = null;
+  let bestScore = -1;
+
+  for (const variant of variants) {
+    if (variant.time_seconds > maxTimeSeconds) continue;
+
+    const score = variant.pois.reduce((sum, poi) => sum + poi.popularity_score, 0);
+    // Prefer the higher score; break ties with the shorter drive
+    if (score > bestScore || (score === bestScore && variant.time_seconds < best.time_seconds)) {
+      best = variant;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+// A route through a set of waypoint POIs, priced with a Directions call
+export interface PricedRouteVariant {
+  route: any;
+  pois: any[];
+  time_seconds: number;
+}
+
+// Choose the scenic variant within maxIncreasePercent of the baseline. The optimizer picks
+// POIs by their estimated detours and priceVariant routes the candidate sets through them.
+// When every priced variant runs over, the estimates were short: the budget shrinks below
+// the cheapest set by its overrun and the optimizer picks again. The selection reports a
+// reason for every POI the chosen variant (null for the baseline) leaves out.
+export async function selectScenicVariant(
+  pois: any[],
+  baselineTimeSeconds: number,
+  maxIncreasePercent: number,
+  priceVariant: (waypointPOIs: any[]) => Promise<PricedRouteVariant | null>
+): Promise<{ selected: PricedRouteVariant | null; poiSelection: any }> {
+  const maxTimeSeconds = baselineTimeSeconds * (1 + maxIncreasePercent / 100);
+  const initialSelection = optimizePOISelection(pois, baselineTimeSeconds * (maxIncreasePercent / 100));
+  const overBudget = new Set<any>();
+  const unrouted = new Set<any>();
+
+  let poiSelection = initialSelection;
+  let selected: PricedRouteVariant | null = null;
+  for (let round = 1; round <= MAX_VARIANT_PRICING_ROUNDS && poiSelection.selected.length > 0; round++) {
+    const candidates = buildRouteVariantCandidates(poiSelection.selected);
+    const variants = await Promise.all(candidates.map(priceVariant));
+    const routed = variants.filter((variant): variant is PricedRouteVariant => variant !== null);
+
+    candidates.forEach((candidate, i) => {
+      const variant = variants[i];
+      for (const poi of candidate) {
+        if (!variant) {
+          unrouted.add(poi);
+        } else if (variant.time_seconds > maxTimeSeconds) {
+          overBudget.add(poi);
+        }
+      }
+    });
+
+    selected = selectBestRouteVariant(routed, baselineTimeSeconds, maxIncreasePercent);
+    if (selected || routed.length === 0) break;
+
+    const cheapest = routed.reduce((best, variant) => variant.time_seconds < best.time_seconds ? variant : best);
+    const estimatedSeconds = cheapest.pois.reduce((sum, poi) => sum + poi.detour_seconds, 0);
+    const budgetSeconds = estimatedSeconds - (cheapest.time_seconds - maxTimeSeconds);
+    if (budgetSeconds < 0) break;
+
+    poiSelection = optimizePOISelection(pois, budgetSeconds);
+  }
+
+  const chosen = selected ? selected.pois : [];
+  const initialDropped = new Map(initialSelection.dropped.map((drop: any) => [drop.google_place_id, drop]));
+  const dropped = pois
+    .filter(poi => !chosen.includes(poi))
+    .map(poi => {
+      if (overBudget.has(poi)) return describeDroppedPOI(poi, 'variant_over_budget');
+      if (unrouted.has(poi)) return describeDroppedPOI(poi, 'variant_unavailable');
+      return initialDropped.get(poi.google_place_id) ?? describeDroppedPOI(poi, 'variant_outscored');
+    });
+
+  return {
+    selected,
+    poiSelection: {
+      selected: chosen,
+      dropped: dropped,
+      budget_seconds: initialSelection.budget_seconds,
+      used_seconds: chosen.reduce((sum, poi) => sum + poi.detour_seconds, 0),
+      min_stops_met: chosen.length >= MIN_ROUTE_STOPS
+    }
+  };
+}
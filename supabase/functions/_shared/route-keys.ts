@@ -0,0 +1,215 @@
+// Keys that identify equivalent route requests: the in-flight fingerprint used to coalesce
+// identical requests and the spatial cache key used to reuse completed routes
+import type { MapsProvider } from './maps/types.ts';
+
+// Route options as the client sent them, without locations
+export interface RouteOptions {
+  route_type?: string;
+  optimize_via_order?: boolean;
+  alternatives?: number;
+  loop_target?: any;
+  simplify_tolerance_meters?: number;
+  departure_time?: string;
+  preferences?: any;
+  context?: any;
+}
+
+// Default Douglas-Peucker tolerance for returned geometry, well under a lane width of drift
+export const DEFAULT_SIMPLIFY_TOLERANCE_METERS = 2;
+
+// Geohash cells of 7 characters are about 150 m across, close enough to share a route
+export const ROUTE_CACHE_GEOHASH_PRECISION = 7;
+
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Timezone of departures and time_of_day buckets when the request has no context.timezone
+// (the service area)
+export const DEFAULT_DEPARTURE_TIMEZONE = 'America/Los_Angeles';
+
+// Local hour each traffic bucket starts at; hours before the first belong to the night
+const TRAFFIC_BUCKET_START_HOURS: Array<[string, number]> = [
+  ['morning', 5],
+  ['afternoon', 11],
+  ['evening', 15],
+  ['night', 20]
+];
+
+// Values generate-route routes with when a preference is omitted
+export const DEFAULT_ROUTE_PREFERENCES = {
+  max_time_increase_percent: 20, // plan.md: 15-20% detour budget
+  driving_speed: 'normal',
+  vehicle_type: 'car',
+  avoid_highways: false,
+  avoid_tolls: false,
+  avoid_ferries: false
+};
+
+// Everything besides the locations that changes the generated route, with defaults filled in.
+// Of the departure and context only the traffic bucket matters; trip_purpose, group_size and
+// the like do not change the route. The simplify tolerance only changes the returned geometry,
+// so cache lookups match it separately.
+export function normalizeRouteOptions(options: RouteOptions, now: Date = new Date()): any {
+  return {
+    route_type: options.route_type || 'point_to_point',
+    optimize_via_order: options.optimize_via_order || false,
+    alternatives: options.alternatives || 1,
+    loop_target: options.loop_target || null,
+    traffic_bucket: resolveTrafficBucket(options, now),
+    preferences: normalizeRoutePreferences(options.preferences || {})
+  };
+}
+
+// The known preferences with omitted ones set to their defaults and interests sorted.
+// Unknown keys are dropped, since generate-route ignores them.
+function normalizeRoutePreferences(preferences: any): any {
+  const normalized: any = { interests: [...(preferences.interests || [])].sort() };
+  for (const [key, fallback] of Object.entries(DEFAULT_ROUTE_PREFERENCES)) {
+    normalized[key] = preferences[key] ?? fallback;
+  }
+  return normalized;
+}
+
+// Traffic bucket a route is generated for: the local time of day of departure_time, otherwise
+// context.time_of_day, otherwise null for free-flow routing. Past departures depart now.
+export function resolveTrafficBucket(options: RouteOptions, now: Date): string | null {
+  if (!options.departure_time) {
+    return options.context?.time_of_day || null;
+  }
+
+  const requested = options.departure_time === 'now' ? now : new Date(options.departure_time);
+  const departure = requested.getTime() > now.getTime() ? requested : now;
+  const hour = Number(new Intl.DateTimeFormat('en-US', {
+    timeZone: options.context?.timezone || DEFAULT_DEPARTURE_TIMEZONE,
+    hour: 'numeric',
+    hourCycle: 'h23'
+  }).format(departure));
+
+  const started = TRAFFIC_BUCKET_START_HOURS.filter(([, startHour]) => hour >= startHour);
+  return started.length > 0 ? started[started.length - 1][0] : 'night';
+}
+
+// Request body to replay when pre-generating a route. A departure_time would resolve to
+// a different traffic bucket when replayed off-peak, so it is replaced by its bucket.
+export function buildReplayPayload(requestData: any, now: Date): any {
+  if (!requestData.departure_time) {
+    return { ...requestData, async: undefined };
+  }
+
+  return {
+    ...requestData,
+    async: undefined,
+    departure_time: undefined,
+    context: { ...requestData.context, time_of_day: resolveTrafficBucket(requestData, now) }
+  };
+}
+
+// JSON with object keys sorted, so equal values always serialize the same way
+export function stableStringify(value: any): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// SHA-256 hex digest of a string
+export async function sha256Hex(text: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Standard base32 geohash of a point
+export function encodeGeohash(lat: number, lng: number, precision: number): string {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let bitCount = 0;
+  let lngBit = true; // Bits alternate, starting with longitude
+
+  while (hash.length < precision) {
+    const range = lngBit ? lngRange : latRange;
+    const value = lngBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+
+    if (value >= mid) {
+      bits = bits * 2 + 1;
+      range[0] = mid;
+    } else {
+      bits = bits * 2;
+      range[1] = mid;
+    }
+
+    lngBit = !lngBit;
+    if (++bitCount === 5) {
+      hash += GEOHASH_BASE32[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+
+  return hash;
+}
+
+// Cache key for completed routes: the start and end geohash cells, then a hash of the via
+// cells and normalized options. Requests starting and ending in the same cells share routes.
+export async function buildRouteCacheKey(
+  options: RouteOptions,
+  startCoords: number[],
+  endCoords: number[],
+  viaCoords: number[][]
+): Promise<string> {
+  const cell = (coords: number[]) => encodeGeohash(coords[0], coords[1], ROUTE_CACHE_GEOHASH_PRECISION);
+  const optionsHash = await sha256Hex(stableStringify({
+    via: viaCoords.map(cell),
+    options: normalizeRouteOptions(options)
+  }));
+
+  return `${cell(startCoords)}:${cell(endCoords)}:${optionsHash}`;
+}
+
+// Cache key for a raw route request, geocoding addresses through the given provider.
+// Null when a location does not resolve; generate-route reports that error itself.
+export async function buildRequestCacheKey(maps: MapsProvider | null, request: any): Promise<string | null> {
+  const isLoop = request.route_type === 'loop';
+
+  const startCoords = await resolveRequestLocation(maps, request.start_location);
+  const endCoords = isLoop && !request.end_location
+    ? startCoords
+    : await resolveRequestLocation(maps, request.end_location);
+  const viaCoords = isLoop
+    ? []
+    : await Promise.all((request.via_locations || []).map((location: any) => resolveRequestLocation(maps, location)));
+
+  if (!startCoords || !endCoords || viaCoords.some(coords => !coords)) {
+    return null;
+  }
+
+  return buildRouteCacheKey(request, startCoords, endCoords, viaCoords as number[][]);
+}
+
+// [lat, lng] of a request location from its coordinates or a geocode of its address
+async function resolveRequestLocation(
+  maps: MapsProvider | null,
+  location?: { address?: string; coordinates?: [number, number] }
+): Promise<number[] | null> {
+  if (location?.coordinates) {
+    return location.coordinates;
+  }
+
+  if (location?.address && maps) {
+    const result = await maps.geocode(location.address);
+    if (result) {
+      const { lat, lng } = result.geometry.location;
+      return [lat, lng];
+    }
+  }
+
+  return null;
+}
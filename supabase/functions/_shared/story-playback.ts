@@ -0,0 +1,164 @@
+// Story playback: fitting a route's stories into a timeline without overlapping audio, and
+// storing the stories with the playback they were given
+
+// Shortest story worth telling; conflicts that leave less room drop the story instead
+const MIN_STORY_DURATION_SECONDS = 45;
+
+// Silence kept between consecutive stories
+export const STORY_GAP_SECONDS = 5;
+
+// Longest a story may start after its trigger before the POI is too far behind
+const MAX_STORY_DELAY_SECONDS = 60;
+
+// Build a conflict-free playback timeline. Stories are placed by priority (then trigger time);
+// a story that would overlap one already placed is delayed by up to MAX_STORY_DELAY_SECONDS,
+// otherwise shortened to the free window down to MIN_STORY_DURATION_SECONDS, otherwise dropped.
+export function scheduleStoryPlayback(
+  stories: Array<{ story_id: string; priority: number; trigger_seconds: number; duration_seconds: number }>
+): any {
+  const occupied: Array<{ start: number; end: number }> = []; // Each includes the trailing gap
+  const entries: any[] = [];
+
+  const byPriority = [...stories].sort((a, b) =>
+    b.priority - a.priority || a.trigger_seconds - b.trigger_seconds
+  );
+
+  for (const story of byPriority) {
+    const slot = findPlaybackSlot(occupied, story.trigger_seconds, story.duration_seconds, MAX_STORY_DELAY_SECONDS) ||
+      findPlaybackSlot(occupied, story.trigger_seconds, MIN_STORY_DURATION_SECONDS, MAX_STORY_DELAY_SECONDS);
+
+    if (!slot) {
+      entries.push({
+        story_id: story.story_id,
+        action: 'drop',
+        trigger_seconds: story.trigger_seconds,
+        start_seconds: null,
+        duration_seconds: 0,
+        delay_seconds: 0
+      });
+      continue;
+    }
+
+    // A full-length slot uses the requested duration; a shortened one takes the whole window
+    const duration = Math.min(story.duration_seconds, Math.floor(slot.available_seconds));
+    occupied.push({ start: slot.start, end: slot.start + duration + STORY_GAP_SECONDS });
+
+    entries.push({
+      story_id: story.story_id,
+      action: duration < story.duration_seconds ? 'shorten' : slot.start > story.trigger_seconds ? 'delay' : 'play',
+      trigger_seconds: story.trigger_seconds,
+      start_seconds: slot.start,
+      duration_seconds: duration,
+      delay_seconds: slot.start - story.trigger_seconds
+    });
+  }
+
+  const scheduled = entries.filter(entry => entry.action !== 'drop');
+  return {
+    stories: entries.sort((a, b) => (a.start_seconds ?? Infinity) - (b.start_seconds ?? Infinity)),
+    dropped_story_ids: entries.filter(entry => entry.action === 'drop').map(entry => entry.story_id),
+    total_playback_seconds: scheduled.reduce((sum, entry) => sum + entry.duration_seconds, 0)
+  };
+}
+
+// Earliest start at or after triggerSeconds (within maxDelaySeconds) with room for minDuration.
+// Candidate starts are the trigger itself and the end of every occupied interval after it.
+function findPlaybackSlot(
+  occupied: Array<{ start: number; end: number }>,
+  triggerSeconds: number,
+  minDuration: number,
+  maxDelaySeconds: number
+): { start: number; available_seconds: number } | null {
+  const candidates = [triggerSeconds, ...occupied.map(interval => interval.end)]
+    .filter(start => start >= triggerSeconds && start - triggerSeconds <= maxDelaySeconds)
+    .sort((a, b) => a - b);
+
+  for (const start of candidates) {
+    if (occupied.some(interval => start >= interval.start && start < interval.end)) {
+      continue;
+    }
+
+    const nextStart = Math.min(...occupied.filter(interval => interval.start > start).map(interval => interval.start));
+    const available = nextStart - STORY_GAP_SECONDS - start;
+    if (available >= minDuration) {
+      return { start, available_seconds: available };
+    }
+  }
+  return null;
+}
+
+// Insert story rows, then schedule the ones that were stored, so a failed insert never holds a
+// slot or pushes another story back. Dropped stories are deleted again and the others get their
+// scheduled duration and playback. Returns the stored rows that will play and the plan.
+export async function storeScheduledStories(
+  supabase: any,
+  storyRows: any[]
+): Promise<{ stories: any[]; playbackPlan: any }> {
+  const stored: any[] = [];
+  for (const storyRow of storyRows) {
+    try {
+      const { error } = await supabase
+        .from('stories')
+        .insert(storyRow);
+
+      if (error) {
+        console.error('Story insert error:', error);
+        continue;
+      }
+      stored.push(storyRow);
+    } catch (error) {
+      console.error(`Error storing story ${storyRow.title}:`, error);
+    }
+  }
+
+  const playbackPlan = scheduleStoryPlayback(stored.map(storyRow => ({
+    story_id: storyRow.id,
+    priority: storyRow.priority,
+    trigger_seconds: storyRow.estimated_trigger_time,
+    duration_seconds: storyRow.duration_seconds
+  })));
+
+  if (playbackPlan.dropped_story_ids.length > 0) {
+    const { error: deleteError } = await supabase
+      .from('stories')
+      .delete()
+      .in('id', playbackPlan.dropped_story_ids);
+
+    if (deleteError) {
+      console.error('Dropped story delete error:', deleteError);
+    }
+  }
+
+  const scheduled: any[] = [];
+  for (const storyRow of stored) {
+    const playback = playbackPlan.stories.find((entry: any) => entry.story_id === storyRow.id);
+    if (playback.action === 'drop') {
+      continue;
+    }
+
+    // Shortened stories carry their target length to content generation
+    scheduled.push({
+      ...storyRow,
+      duration_seconds: playback.duration_seconds,
+      generation_metadata: {
+        ...storyRow.generation_metadata,
+        playback: {
+          action: playback.action,
+          start_seconds: playback.start_seconds
+        }
+      }
+    });
+  }
+
+  if (scheduled.length > 0) {
+    const { error: playbackError } = await supabase
+      .from('stories')
+      .upsert(scheduled);
+
+    if (playbackError) {
+      console.error('Story playback store error:', playbackError);
+    }
+  }
+
+  return { stories: scheduled, playbackPlan };
+}
@@ -1,5 +1,9 @@
 import "jsr:@supabase/functions-js/edge-runtime.d.ts";
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { selectRouteAlternative } from '../_shared/alternatives.ts';
+import { buildContentJob, enqueueJobs, refreshRouteProgress, wakeJobWorker } from '../_shared/jobs.ts';
+import { createMapsProvider, withGeocodeCache } from '../_shared/maps/index.ts';
+import { buildRequestCacheKey, DEFAULT_SIMPLIFY_TOLERANCE_METERS } from '../_shared/route-keys.ts';
 
 // Main API orchestration endpoint for RouteStory Backend
 // Handles route generation requests and orchestrates the full pipeline
@@ -9,19 +13,36 @@ interface RouteGenerationRequest {
     address?: string;
     coordinates?: [number, number]; // [latitude, longitude]
   };
-  end_location: {
+  end_location?: {
     address?: string;
     coordinates?: [number, number];
   };
+  route_type?: 'point_to_point' | 'loop';
+  loop_target?: {
+    duration_seconds?: number;
+    distance_meters?: number;
+  };
+  via_locations?: Array<{
+    address?: string;
+    coordinates?: [number, number];
+  }>;
+  optimize_via_order?: boolean;
+  alternatives?: number;
+  simplify_tolerance_meters?: number;
+  async?: boolean; // Defaults to true; false waits for the completed route
+  departure_time?: string; // ISO 8601 or 'now', for traffic-aware routing
   preferences?: {
     max_time_increase_percent?: number;
     interests?: string[];
     driving_speed?: 'slow' | 'normal' | 'fast';
     avoid_highways?: boolean;
-    vehicle_type?: string;
+    avoid_tolls?: boolean;
+    avoid_ferries?: boolean;
+    vehicle_type?: 'car' | 'motorcycle' | 'bicycle';
   };
   context?: {
-    time_of_day?: string;
+    time_of_day?: string; // Departure bucket when departure_time is unset
+    timezone?: string; // IANA timezone of time_of_day
     trip_purpose?: string;
     group_size?: number;
   };
@@ -33,7 +54,16 @@ interface APIResponse {
   message?: string;
   estimated_completion_seconds?: number;
   status_url?: string;
+  coalesced?: boolean; // Joined an identical request that was already generating
   route?: any; // Full route data when completed
+  cache?: RouteCacheStatus;
+}
+
+interface RouteCacheStatus {
+  status: 'hit' | 'miss';
+  age_seconds?: number; // Time since the cached route was generated
+  expires_at?: string;
+  invalidations?: any[]; // Stories refreshed by this request because their POI changed
 }
 
 Deno.serve(async (req: Request) => {
@@ -49,13 +79,18 @@ Deno.serve(async (req: Request) => {
     // Handle different API endpoints
     if (req.method === 'POST' && pathSegments.includes('generate')) {
       // POST /api/v1/routes/generate
-      return await handleRouteGeneration(req, supabase);
+      return await handleRouteGeneration(req, supabase, url);
       
     } else if (req.method === 'GET' && pathSegments.includes('status')) {
       // GET /api/v1/routes/status/{route_id}
       const routeId = pathSegments[pathSegments.length - 1];
       return await forwardToStatusEndpoint(routeId);
       
+    } else if (req.method === 'POST' && pathSegments.includes('select')) {
+      // POST /api/v1/routes/{route_id}/select
+      const routeId = pathSegments[pathSegments.indexOf('select') - 1];
+      return await handleAlternativeSelection(supabase, routeId);
+      
     } else if (req.method === 'GET' && pathSegments.includes('health')) {
       // GET /api/v1/health
       return await handleHealthCheck();
@@ -68,6 +103,7 @@ Deno.serve(async (req: Request) => {
           available_endpoints: [
             'POST /api/v1/routes/generate',
             'GET /api/v1/routes/status/{route_id}',
+            'POST /api/v1/routes/{route_id}/select',
             'GET /api/v1/health'
           ]
         }
@@ -92,7 +128,7 @@ Deno.serve(async (req: Request) => {
 });
 
 // Handle route generation requests
-async function handleRouteGeneration(req: Request, supabase: any): Promise<Response> {
+async function handleRouteGeneration(req: Request, supabase: any, url: URL): Promise<Response> {
   try {
     const requestData: RouteGenerationRequest = await req.json();
     
@@ -111,31 +147,58 @@ async function handleRouteGeneration(req: Request, supabase: any): Promise<Respo
       });
     }
 
+    const idempotencyKey = req.headers.get('Idempotency-Key');
+    if (idempotencyKey !== null && (idempotencyKey.length === 0 || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH)) {
+      return new Response(JSON.stringify({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: `Idempotency-Key must be 1 to ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`,
+          details: { header: 'Idempotency-Key' }
+        }
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
     // Check if similar route already exists in cache
     const cachedRoute = await checkCachedRoute(supabase, requestData);
     if (cachedRoute) {
+      // A route refreshing stale stories is served as it is, with status_url to follow them
       return new Response(JSON.stringify({
         route_id: cachedRoute.id,
-        status: 'completed',
+        status: cachedRoute.status,
         message: 'Found cached route',
-        route: cachedRoute,
-        from_cache: true
+        route: cachedRoute.route,
+        from_cache: true,
+        status_url: `${url.origin}/functions/v1/route-status/${cachedRoute.id}`,
+        cache: cachedRoute.cache
       }), {
-        status: 200,
-        headers: { 'Content-Type': 'application/json' }
+        status: cachedRoute.status === 'completed' ? 200 : 202,
+        headers: { 'Content-Type': 'application/json', 'X-Cache': 'HIT' }
       });
     }
 
-    // Trigger route generation by calling generate-route function
+    // Trigger route generation by calling generate-route function. Async mode answers with
+    // the route_id straight away so mobile clients are not held past their HTTP timeouts.
     const generateResponse = await fetch(`${Deno.env.get('SUPABASE_URL')}/functions/v1/generate-route`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')}`
+        'Authorization': `Bearer ${Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')}`,
+        ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {})
       },
-      body: JSON.stringify(requestData)
+      body: JSON.stringify({ ...requestData, async: requestData.async ?? true })
     });
 
+    // Request problems such as failed geocoding or a reused Idempotency-Key go back as they are
+    if (generateResponse.status >= 400 && generateResponse.status < 500) {
+      return new Response(await generateResponse.text(), {
+        status: generateResponse.status,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
     if (!generateResponse.ok) {
       const errorText = await generateResponse.text();
       console.error('Route generation failed:', errorText);
@@ -160,17 +223,25 @@ async function handleRouteGeneration(req: Request, supabase: any): Promise<Respo
       status: generationResult.status,
       message: 'Route generation started successfully',
       estimated_completion_seconds: 30,
-      status_url: `${url.origin}/functions/v1/route-status/${generationResult.route_id}`
+      status_url: `${url.origin}/functions/v1/route-status/${generationResult.route_id}`,
+      coalesced: generationResult.coalesced,
+      cache: { status: 'miss' }
     };
 
-    // If route completed immediately, include full route data
-    if (generationResult.status === 'completed') {
+    // Synchronous generation returns the route; story audio may still be in the job queue
+    if (generationResult.route) {
       response.route = generationResult;
     }
 
+    const replayed = generateResponse.headers.get('Idempotent-Replayed');
+
     return new Response(JSON.stringify(response), {
       status: generationResult.status === 'completed' ? 200 : 202,
-      headers: { 'Content-Type': 'application/json' }
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Cache': 'MISS',
+        ...(replayed ? { 'Idempotent-Replayed': replayed } : {})
+      }
     });
 
   } catch (error) {
@@ -187,8 +258,72 @@ async function handleRouteGeneration(req: Request, supabase: any): Promise<Respo
   }
 }
 
+// Supported values for enumerated route preferences
+const SUPPORTED_DRIVING_SPEEDS = ['slow', 'normal', 'fast'];
+const SUPPORTED_VEHICLE_TYPES = ['car', 'motorcycle', 'bicycle'];
+const SUPPORTED_INTERESTS = ['history', 'technology', 'architecture', 'nature', 'food', 'art'];
+
+// Directions allows 25 waypoints; leave room for scenic POI detours
+const MAX_VIA_LOCATIONS = 10;
+
+// Ranked alternatives offered per request: max scenic, balanced and fastest
+const MAX_ROUTE_ALTERNATIVES = 3;
+
+const SUPPORTED_ROUTE_TYPES = ['point_to_point', 'loop'];
+
+// Largest Douglas-Peucker tolerance a client may ask for; beyond this overlays leave the road
+const MAX_SIMPLIFY_TOLERANCE_METERS = 100;
+
+// Longest Idempotency-Key header accepted; clients normally send a UUID
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// Departure buckets for context.time_of_day
+const SUPPORTED_TIMES_OF_DAY = ['morning', 'afternoon', 'evening', 'night'];
+
+// A departure_time this far in the past is taken as now (clock skew, slow requests)
+const DEPARTURE_TIME_GRACE_SECONDS = 5 * 60;
+
+// Allowed loop targets: 15 minutes to 6 hours, 5 km to 400 km
+const LOOP_DURATION_RANGE_SECONDS = [15 * 60, 6 * 60 * 60];
+const LOOP_DISTANCE_RANGE_METERS = [5000, 400000];
+
 // Validate route generation request
 function validateRouteRequest(requestData: RouteGenerationRequest): any {
+  const tolerance = requestData.simplify_tolerance_meters;
+  if (tolerance !== undefined &&
+      (typeof tolerance !== 'number' || tolerance < 0 || tolerance > MAX_SIMPLIFY_TOLERANCE_METERS)) {
+    return {
+      valid: false,
+      error: `simplify_tolerance_meters must be a number from 0 to ${MAX_SIMPLIFY_TOLERANCE_METERS}`,
+      details: { field: 'simplify_tolerance_meters' }
+    };
+  }
+
+  if (requestData.async !== undefined && typeof requestData.async !== 'boolean') {
+    return {
+      valid: false,
+      error: 'async must be a boolean',
+      details: { field: 'async' }
+    };
+  }
+
+  const departureValidation = validateDeparture(requestData);
+  if (!departureValidation.valid) {
+    return departureValidation;
+  }
+
+  if (requestData.route_type !== undefined && !SUPPORTED_ROUTE_TYPES.includes(requestData.route_type)) {
+    return {
+      valid: false,
+      error: `Unsupported route_type: ${requestData.route_type}`,
+      details: { field: 'route_type', supported_values: SUPPORTED_ROUTE_TYPES }
+    };
+  }
+
+  if (requestData.route_type === 'loop') {
+    return validateLoopRequest(requestData);
+  }
+
   if (!requestData.start_location || !requestData.end_location) {
     return {
       valid: false,
@@ -237,21 +372,480 @@ function validateRouteRequest(requestData: RouteGenerationRequest): any {
     }
   }
 
+  if (requestData.alternatives !== undefined &&
+      (!Number.isInteger(requestData.alternatives) ||
+       requestData.alternatives < 1 || requestData.alternatives > MAX_ROUTE_ALTERNATIVES)) {
+    return {
+      valid: false,
+      error: `alternatives must be an integer from 1 to ${MAX_ROUTE_ALTERNATIVES}`,
+      details: { field: 'alternatives' }
+    };
+  }
+
+  if (requestData.via_locations !== undefined) {
+    const viaValidation = validateViaLocations(requestData.via_locations);
+    if (!viaValidation.valid) {
+      return viaValidation;
+    }
+  }
+
+  if (requestData.preferences) {
+    return validateRoutePreferences(requestData.preferences);
+  }
+
+  return { valid: true };
+}
+
+// Validate departure_time and the context.time_of_day bucket used for traffic-aware routing
+function validateDeparture(requestData: RouteGenerationRequest): any {
+  const departureTime = requestData.departure_time;
+  if (departureTime !== undefined && departureTime !== 'now') {
+    const departure = typeof departureTime === 'string' ? Date.parse(departureTime) : NaN;
+    if (Number.isNaN(departure)) {
+      return {
+        valid: false,
+        error: 'departure_time must be an ISO 8601 date-time or "now"',
+        details: { field: 'departure_time' }
+      };
+    }
+
+    if (departure < Date.now() - DEPARTURE_TIME_GRACE_SECONDS * 1000) {
+      return {
+        valid: false,
+        error: 'departure_time must not be in the past',
+        details: { field: 'departure_time' }
+      };
+    }
+  }
+
+  const timeOfDay = requestData.context?.time_of_day;
+  if (timeOfDay !== undefined && !SUPPORTED_TIMES_OF_DAY.includes(timeOfDay)) {
+    return {
+      valid: false,
+      error: `Unsupported time_of_day: ${timeOfDay}`,
+      details: { field: 'context.time_of_day', supported_values: SUPPORTED_TIMES_OF_DAY }
+    };
+  }
+
+  const timezone = requestData.context?.timezone;
+  if (timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+      return {
+        valid: false,
+        error: `Unknown timezone: ${timezone}`,
+        details: { field: 'context.timezone' }
+      };
+    }
+  }
+
+  return { valid: true };
+}
+
+// Validate a loop request: start and target are required, end is optional
+function validateLoopRequest(requestData: RouteGenerationRequest): any {
+  const locations = { start_location: requestData.start_location, end_location: requestData.end_location };
+
+  if (!requestData.start_location || (!requestData.start_location.coordinates && !requestData.start_location.address)) {
+    return {
+      valid: false,
+      error: 'Loop routes require a start_location with coordinates or address',
+      details: { required_fields: ['start_location', 'loop_target'] }
+    };
+  }
+
+  for (const [field, location] of Object.entries(locations)) {
+    if (!location?.coordinates) continue;
+    const [lat, lng] = location.coordinates;
+    if (typeof lat !== 'number' || typeof lng !== 'number' || 
+        lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+      return {
+        valid: false,
+        error: `Invalid ${field.replace('_', ' ')} coordinates`,
+        details: { coordinates_format: '[latitude, longitude]', valid_ranges: 'lat: -90 to 90, lng: -180 to 180' }
+      };
+    }
+  }
+
+  const target = requestData.loop_target;
+  if (!target || (target.duration_seconds === undefined && target.distance_meters === undefined)) {
+    return {
+      valid: false,
+      error: 'Loop routes require loop_target.duration_seconds or loop_target.distance_meters',
+      details: { required_fields: ['start_location', 'loop_target'] }
+    };
+  }
+
+  if (target.duration_seconds !== undefined &&
+      (typeof target.duration_seconds !== 'number' ||
+       target.duration_seconds < LOOP_DURATION_RANGE_SECONDS[0] ||
+       target.duration_seconds > LOOP_DURATION_RANGE_SECONDS[1])) {
+    return {
+      valid: false,
+      error: 'loop_target.duration_seconds is out of range',
+      details: { field: 'loop_target.duration_seconds', valid_range: LOOP_DURATION_RANGE_SECONDS }
+    };
+  }
+
+  if (target.distance_meters !== undefined &&
+      (typeof target.distance_meters !== 'number' ||
+       target.distance_meters < LOOP_DISTANCE_RANGE_METERS[0] ||
+       target.distance_meters > LOOP_DISTANCE_RANGE_METERS[1])) {
+    return {
+      valid: false,
+      error: 'loop_target.distance_meters is out of range',
+      details: { field: 'loop_target.distance_meters', valid_range: LOOP_DISTANCE_RANGE_METERS }
+    };
+  }
+
+  if (requestData.via_locations?.length) {
+    return {
+      valid: false,
+      error: 'via_locations are not supported for loop routes',
+      details: { field: 'via_locations' }
+    };
+  }
+
+  if (requestData.preferences) {
+    return validateRoutePreferences(requestData.preferences);
+  }
+
+  return { valid: true };
+}
+
+// Validate the ordered list of user stops
+function validateViaLocations(viaLocations: any): any {
+  if (!Array.isArray(viaLocations)) {
+    return {
+      valid: false,
+      error: 'via_locations must be an array',
+      details: { field: 'via_locations' }
+    };
+  }
+
+  if (viaLocations.length > MAX_VIA_LOCATIONS) {
+    return {
+      valid: false,
+      error: `At most ${MAX_VIA_LOCATIONS} via locations are supported`,
+      details: { field: 'via_locations', max_items: MAX_VIA_LOCATIONS }
+    };
+  }
+
+  for (let i = 0; i < viaLocations.length; i++) {
+    const location = viaLocations[i];
+    if (!location || (!location.coordinates && !location.address)) {
+      return {
+        valid: false,
+        error: 'Each via location must have either coordinates or address',
+        details: { field: `via_locations[${i}]` }
+      };
+    }
+
+    if (location.coordinates) {
+      const [lat, lng] = location.coordinates;
+      if (typeof lat !== 'number' || typeof lng !== 'number' || 
+          lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        return {
+          valid: false,
+          error: `Invalid via location coordinates at index ${i}`,
+          details: { coordinates_format: '[latitude, longitude]', valid_ranges: 'lat: -90 to 90, lng: -180 to 180' }
+        };
+      }
+    }
+  }
+
   return { valid: true };
 }
 
-// Check for cached route with similar start/end points
+// Validate optional routing preferences
+function validateRoutePreferences(preferences: any): any {
+  if (preferences.driving_speed !== undefined && !SUPPORTED_DRIVING_SPEEDS.includes(preferences.driving_speed)) {
+    return {
+      valid: false,
+      error: `Unsupported driving_speed: ${preferences.driving_speed}`,
+      details: { field: 'preferences.driving_speed', supported_values: SUPPORTED_DRIVING_SPEEDS }
+    };
+  }
+
+  if (preferences.vehicle_type !== undefined && !SUPPORTED_VEHICLE_TYPES.includes(preferences.vehicle_type)) {
+    return {
+      valid: false,
+      error: `Unsupported vehicle_type: ${preferences.vehicle_type}`,
+      details: { field: 'preferences.vehicle_type', supported_values: SUPPORTED_VEHICLE_TYPES }
+    };
+  }
+
+  if (preferences.interests !== undefined) {
+    const unsupported = Array.isArray(preferences.interests)
+      ? preferences.interests.filter((interest: any) => !SUPPORTED_INTERESTS.includes(interest))
+      : [preferences.interests];
+    if (unsupported.length > 0) {
+      return {
+        valid: false,
+        error: `Unsupported interests: ${unsupported.join(', ')}`,
+        details: { field: 'preferences.interests', supported_values: SUPPORTED_INTERESTS }
+      };
+    }
+  }
+
+  for (const field of ['avoid_highways', 'avoid_tolls', 'avoid_ferries']) {
+    if (preferences[field] !== undefined && typeof preferences[field] !== 'boolean') {
+      return {
+        valid: false,
+        error: `${field} must be a boolean`,
+        details: { field: `preferences.${field}` }
+      };
+    }
+  }
+
+  return { valid: true };
+}
+
+// Find a completed, unexpired route generated for the same start and end geohash cells and
+// options. Addresses are geocoded through the shared geocode cache; a location that does not
+// resolve is a miss and generate-route reports the error. Returns the stored route with the
+// stories' current audio, or null.
 async function checkCachedRoute(supabase: any, requestData: RouteGenerationRequest): Promise<any> {
   try {
-    // For MVP, we'll implement basic caching later
-    // This would query routes table for similar start/end locations within last 24 hours
-    return null;
+    const mapsProvider = createMapsProvider();
+    const maps = mapsProvider ? withGeocodeCache(mapsProvider, supabase) : null;
+
+    const cacheKey = await buildRequestCacheKey(maps, requestData);
+    if (!cacheKey) {
+      return null;
+    }
+
+    const { data: cachedRoutes, error: cacheError } = await supabase
+      .from('routes')
+      .select('id, status, preferences, response_body, created_at, cache_expires_at, stale_at')
+      .eq('cache_key', cacheKey)
+      .eq('variant_rank', 1)
+      .or('status.eq.completed,stories_refreshed_at.not.is.null')
+      .neq('status', 'failed')
+      .gt('cache_expires_at', new Date().toISOString())
+      .eq('response_status', 200)
+      // The key leaves out the simplify tolerance, which only changes the returned geometry
+      .eq(
+        'response_body->metadata->geometry->>simplify_tolerance_meters',
+        String(requestData.simplify_tolerance_meters ?? DEFAULT_SIMPLIFY_TOLERANCE_METERS)
+      )
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (cacheError) {
+      console.error('Cache lookup error:', cacheError);
+      return null;
+    }
+
+    const cachedRoute = cachedRoutes?.[0];
+    if (!cachedRoute) {
+      return null;
+    }
+
+    // Hits count towards corridor popularity for pre-generation
+    const { error: hitError } = await supabase.rpc('record_route_cache_hit', { target_route_id: cachedRoute.id });
+    if (hitError) {
+      console.error('Cache hit count error:', hitError);
+    }
+
+    // POIs behind some stories changed since the route was stored
+    const invalidations = cachedRoute.stale_at ? await refreshStaleStories(supabase, cachedRoute) : [];
+    const { data: currentRoute } = invalidations.length > 0
+      ? await supabase.from('routes').select('status').eq('id', cachedRoute.id).single()
+      : { data: cachedRoute };
+
+    // Audio URLs and durations were filled in after the response was stored
+    const { data: stories, error: storiesError } = await supabase
+      .from('stories')
+      .select('id, title, audio_url, duration_seconds')
+      .eq('route_id', cachedRoute.id);
+
+    if (storiesError) {
+      console.error('Cached route stories fetch error:', storiesError);
+      return null;
+    }
+
+    // Stories dropped for closed or deleted POIs no longer have a row
+    const storiesById = new Map<string, any>((stories || []).map((story: any) => [story.id, story]));
+    const route = cachedRoute.response_body;
+    const routeStories = (route.stories || [])
+      .filter((story: any) => storiesById.has(story.id))
+      .map((story: any) => ({ ...story, ...storiesById.get(story.id) }));
+    const status = currentRoute?.status || cachedRoute.status;
+
+    return {
+      id: cachedRoute.id,
+      status,
+      route: {
+        ...route,
+        status,
+        stories: routeStories,
+        playback_plan: route.playback_plan && {
+          ...route.playback_plan,
+          stories: route.playback_plan.stories.map((entry: any) =>
+            storiesById.has(entry.story_id) ? entry : { ...entry, action: 'drop', start_seconds: null })
+        },
+        metadata: { ...route.metadata, total_stories: routeStories.length }
+      },
+      cache: {
+        status: 'hit',
+        age_seconds: Math.round((Date.now() - new Date(cachedRoute.created_at).getTime()) / 1000),
+        expires_at: cachedRoute.cache_expires_at,
+        invalidations: invalidations.length > 0 ? invalidations : undefined
+      }
+    };
   } catch (error) {
     console.error('Cache check error:', error);
     return null;
   }
 }
 
+// Invalidation reasons whose story is dropped rather than regenerated
+const DROPPED_STORY_REASONS = ['poi_closed', 'poi_deleted'];
+
+// Refresh the stories of a cached route whose POIs changed. Stories about closed or deleted
+// POIs are dropped; the others go back through the content and audio jobs with the current
+// POI data. Returns the invalidations handled, each with the action taken.
+async function refreshStaleStories(supabase: any, route: any): Promise<any[]> {
+  const refreshedAt = new Date().toISOString();
+  await supabase
+    .from('routes')
+    .update({ stale_at: null, stories_refreshed_at: refreshedAt })
+    .eq('id', route.id);
+
+  // Claiming the pending invalidations lets concurrent hits refresh each story once
+  const { data: invalidations, error: claimError } = await supabase
+    .from('route_invalidations')
+    .update({ refreshed_at: refreshedAt })
+    .eq('route_id', route.id)
+    .is('refreshed_at', null)
+    .select('story_id, poi_id, reason');
+
+  if (claimError) {
+    console.error('Route invalidation claim error:', claimError);
+    return [];
+  }
+
+  const { droppedIds, regeneratedIds } = planStoryRefresh(invalidations);
+
+  const { data: stories, error: storiesError } = regeneratedIds.length > 0
+    ? await supabase
+      .from('stories')
+      .select('id, route_id, generation_metadata, poi:pois(id, name, address, poi_type, google_place_id, google_rating, review_count)')
+      .in('id', regeneratedIds)
+    : { data: [], error: null };
+
+  if (storiesError) {
+    console.error('Stale stories fetch error:', storiesError);
+  }
+
+  const contentJobs = [];
+  for (const story of stories || []) {
+    // The POI was deleted after the invalidation was recorded
+    if (!story.poi) {
+      droppedIds.add(story.id);
+      continue;
+    }
+
+    const { error: resetError } = await supabase
+      .from('stories')
+      .update({
+        title: `Story about ${story.poi.name}`,
+        content: 'Content generation in progress...',
+        content_generated_at: null,
+        audio_url: null
+      })
+      .eq('id', story.id);
+
+    if (resetError) {
+      console.error('Stale story reset error:', resetError);
+      continue;
+    }
+
+    contentJobs.push(buildContentJob(story, story.poi, {
+      route_id: route.id,
+      interests: route.preferences?.interests || [],
+      driving_speed: story.generation_metadata?.driving_speed || 'normal'
+    }));
+  }
+
+  if (droppedIds.size > 0) {
+    const { error: deleteError } = await supabase
+      .from('stories')
+      .delete()
+      .in('id', [...droppedIds]);
+
+    if (deleteError) {
+      console.error('Stale story delete error:', deleteError);
+    }
+  }
+
+  const enqueueError = await enqueueJobs(supabase, contentJobs);
+  if (enqueueError) {
+    console.error('Content job enqueue error:', enqueueError);
+  } else if (contentJobs.length > 0) {
+    await wakeJobWorker();
+  }
+
+  // Back to processing until the regenerated stories have content and audio again
+  await refreshRouteProgress(supabase, route.id);
+
+  return invalidations.map((invalidation: any) => ({
+    ...invalidation,
+    action: !invalidation.story_id || droppedIds.has(invalidation.story_id) ? 'drop' : 'regenerate'
+  }));
+}
+
+// Split invalidated stories into those to drop and those to regenerate, once each. A closure
+// outweighs an edit recorded for the same story.
+function planStoryRefresh(invalidations: any[]): { droppedIds: Set<string>; regeneratedIds: string[] } {
+  const droppedIds = new Set<string>(invalidations
+    .filter(invalidation => invalidation.story_id && DROPPED_STORY_REASONS.includes(invalidation.reason))
+    .map(invalidation => invalidation.story_id));
+  const regeneratedIds = [...new Set<string>(invalidations
+    .filter(invalidation => invalidation.story_id && !droppedIds.has(invalidation.story_id))
+    .map(invalidation => invalidation.story_id))];
+
+  return { droppedIds, regeneratedIds };
+}
+
+// Mark the alternative the client picked; its siblings are deselected so audio is only generated once
+async function handleAlternativeSelection(supabase: any, routeId: string): Promise<Response> {
+  try {
+    const selection = await selectRouteAlternative(supabase, routeId);
+
+    if (selection.error) {
+      return new Response(JSON.stringify({
+        error: {
+          code: selection.error.code,
+          message: selection.error.message
+        }
+      }), {
+        status: selection.error.status,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    return new Response(JSON.stringify(selection.body), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    console.error('Alternative selection handler error:', error);
+    return new Response(JSON.stringify({
+      error: {
+        code: 'REQUEST_PROCESSING_ERROR',
+        message: 'Failed to process route selection'
+      }
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
 // Forward request to route-status endpoint
 async function forwardToStatusEndpoint(routeId: string): Promise<Response> {
   try {
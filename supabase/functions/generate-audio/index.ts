@@ -1,5 +1,6 @@
 import "jsr:@supabase/functions-js/edge-runtime.d.ts";
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { refreshRouteProgress } from '../_shared/jobs.ts';
 
 interface AudioGenerationRequest {
   story_id: string;
@@ -75,13 +76,14 @@ Deno.serve(async (req: Request) => {
     // Post-process audio (normalize, optimize for car audio)
     const optimizedAudio = await postProcessAudio(audioResult.audioBuffer);
     
-    // Upload to Supabase Storage
-    const uploadPath = `stories/${requestData.story_id}/main.mp3`;
+    // Upload to Supabase Storage under the speed variant (main.mp3 for normal speed)
+    const uploadPath = `stories/${requestData.story_id}/${getSpeedVariantFileName(requestData.voice_settings?.speed)}`;
     const { data: uploadData, error: uploadError } = await supabase.storage
       .from('audio-files')
       .upload(uploadPath, optimizedAudio, {
         contentType: 'audio/mpeg',
-        cacheControl: '604800' // 7 days cache
+        cacheControl: '604800', // 7 days cache
+        upsert: true // Retried and re-queued jobs overwrite the earlier upload
       });
 
     if (uploadError) {
@@ -115,18 +117,32 @@ Deno.serve(async (req: Request) => {
     }
 
     // Update story record with audio URL and duration
-    const { error: updateError } = await supabase
+    const { data: updatedStory, error: updateError } = await supabase
       .from('stories')
       .update({
         audio_url: signedUrlData.signedUrl,
         duration_seconds: audioResult.duration_seconds
       })
-      .eq('id', requestData.story_id);
+      .eq('id', requestData.story_id)
+      .select('route_id')
+      .single();
 
     if (updateError) {
       console.error('Story update error:', updateError);
+      return new Response(JSON.stringify({
+        error: {
+          code: 'DATABASE_ERROR',
+          message: 'Failed to attach audio to story'
+        }
+      }), { 
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
     }
 
+    // The route completes once its last story has audio
+    await refreshRouteProgress(supabase, updatedStory.route_id);
+
     const response: AudioResponse = {
       story_id: requestData.story_id,
       audio_url: signedUrlData.signedUrl,
@@ -153,6 +169,13 @@ Deno.serve(async (req: Request) => {
   }
 });
 
+// Map a voice speed to its storage file name (fast.mp3 for highways, slow.mp3 for city driving)
+function getSpeedVariantFileName(speed?: string): string {
+  if (speed === 'fast') return 'fast.mp3';
+  if (speed === 'slow') return 'slow.mp3';
+  return 'main.mp3';
+}
+
 // Preprocess text for optimal speech synthesis
 function preprocessTextForSpeech(text: string): string {
   let processed = text;
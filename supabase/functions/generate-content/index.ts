@@ -1,7 +1,10 @@
 import "jsr:@supabase/functions-js/edge-runtime.d.ts";
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { createMapsProvider } from '../_shared/maps/index.ts';
+import { buildAudioJob, enqueueJobs, refreshRouteProgress, wakeJobWorker } from '../_shared/jobs.ts';
 
 interface ContentGenerationRequest {
+  story_id: string; // Placeholder story row created by generate-route; updated in place
   poi_data: {
     id: string;
     name: string;
@@ -15,9 +18,12 @@ interface ContentGenerationRequest {
   route_context: {
     route_id: string;
     start_city?: string;
+    start_region?: string;
     end_city?: string;
+    end_region?: string;
     trip_purpose?: string;
     interests?: string[];
+    driving_speed?: 'slow' | 'normal' | 'fast';
   };
 }
 
@@ -38,11 +44,11 @@ Deno.serve(async (req: Request) => {
 
     const requestData: ContentGenerationRequest = await req.json();
     
-    if (!requestData.poi_data || !requestData.route_context) {
+    if (!requestData.story_id || !requestData.poi_data || !requestData.route_context) {
       return new Response(JSON.stringify({
         error: {
           code: 'MISSING_REQUIRED_FIELDS',
-          message: 'poi_data and route_context are required'
+          message: 'story_id, poi_data and route_context are required'
         }
       }), { 
         status: 400,
@@ -55,6 +61,27 @@ Deno.serve(async (req: Request) => {
     const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
     const supabase = createClient(supabaseUrl, supabaseKey);
 
+    const { data: story, error: storyError } = await supabase
+      .from('stories')
+      .select('id, route_id, category, priority, generation_metadata')
+      .eq('id', requestData.story_id)
+      .single();
+
+    if (storyError || !story) {
+      return new Response(JSON.stringify({
+        error: {
+          code: 'STORY_NOT_FOUND',
+          message: 'Story not found'
+        }
+      }), { 
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Fill in where the trip starts and ends from the route when the caller did not say
+    const routeContext = await resolveRouteContext(supabase, requestData.route_context);
+
     // Research POI using multiple data sources
     const researchData = await researchPOI(requestData.poi_data);
     
@@ -62,7 +89,7 @@ Deno.serve(async (req: Request) => {
     const storyContent = await generateStoryWithGemini(
       requestData.poi_data,
       researchData,
-      requestData.route_context
+      routeContext
     );
 
     if (!storyContent.success) {
@@ -77,32 +104,27 @@ Deno.serve(async (req: Request) => {
       });
     }
 
-    // Store story in database
-    const storyRecord = {
-      id: crypto.randomUUID(),
-      poi_id: requestData.poi_data.id,
-      route_id: requestData.route_context.route_id,
-      title: storyContent.title,
-      content: storyContent.content,
-      category: storyContent.category,
-      priority: storyContent.priority,
-      trigger_location: `POINT(0 0)`, // Will be set by calling function
-      generation_metadata: {
-        research_sources: researchData.sources,
-        word_count: storyContent.word_count,
-        generation_timestamp: new Date().toISOString(),
-        model_used: 'gemini-2.5-flash'
-      }
-    };
-
-    const { data: insertedStory, error: insertError } = await supabase
+    // Fill in the placeholder story; trigger placement and playback metadata stay as planned
+    const { data: updatedStory, error: updateError } = await supabase
       .from('stories')
-      .insert(storyRecord)
+      .update({
+        title: storyContent.title,
+        content: storyContent.content,
+        content_generated_at: new Date().toISOString(),
+        generation_metadata: {
+          ...story.generation_metadata,
+          research_sources: researchData.sources,
+          word_count: storyContent.word_count,
+          generation_timestamp: new Date().toISOString(),
+          model_used: 'gemini-2.5-flash'
+        }
+      })
+      .eq('id', story.id)
       .select()
       .single();
 
-    if (insertError) {
-      console.error('Story insert error:', insertError);
+    if (updateError) {
+      console.error('Story update error:', updateError);
       return new Response(JSON.stringify({
         error: {
           code: 'DATABASE_ERROR',
@@ -114,15 +136,42 @@ Deno.serve(async (req: Request) => {
       });
     }
 
-    // Trigger audio generation asynchronously
-    await triggerAudioGeneration(insertedStory.id, storyContent.content);
+    // Audio is only generated for the route the client will drive; an alternative gets
+    // its audio queued when it is selected. A failed enqueue fails this job so the worker retries it.
+    const { data: route } = await supabase
+      .from('routes')
+      .select('is_selected')
+      .eq('id', story.route_id)
+      .single();
+
+    if (route?.is_selected) {
+      const speed = requestData.route_context.driving_speed || story.generation_metadata?.driving_speed || 'normal';
+      const enqueueError = await enqueueJobs(supabase, [buildAudioJob(updatedStory, speed)]);
+
+      if (enqueueError) {
+        console.error('Audio job enqueue error:', enqueueError);
+        return new Response(JSON.stringify({
+          error: {
+            code: 'DATABASE_ERROR',
+            message: 'Failed to queue audio generation'
+          }
+        }), { 
+          status: 500,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      await wakeJobWorker();
+    }
+
+    await refreshRouteProgress(supabase, story.route_id);
 
     const response: StoryData = {
-      id: insertedStory.id,
+      id: updatedStory.id,
       title: storyContent.title,
       content: storyContent.content,
-      category: storyContent.category,
-      priority: storyContent.priority,
+      category: updatedStory.category,
+      priority: updatedStory.priority,
       duration_estimate_seconds: Math.round(storyContent.word_count * 0.4) // ~150 words per minute
     };
 
@@ -200,19 +249,47 @@ async function searchWikipedia(poiName: string): Promise<any> {
   return null;
 }
 
-// Get additional details from Google Places API
+// Complete start/end city and region from the route's reverse-geocoded location_context
+async function resolveRouteContext(supabase: any, routeContext: any): Promise<any> {
+  if (routeContext.start_city && routeContext.end_city) {
+    return routeContext;
+  }
+
+  const { data: route, error } = await supabase
+    .from('routes')
+    .select('location_context')
+    .eq('id', routeContext.route_id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Route context lookup error:', error);
+  }
+
+  const locationContext = route?.location_context || {};
+  return {
+    ...routeContext,
+    start_city: routeContext.start_city || locationContext.start?.locality || undefined,
+    start_region: routeContext.start_region || locationContext.start?.region || undefined,
+    end_city: routeContext.end_city || locationContext.end?.locality || undefined,
+    end_region: routeContext.end_region || locationContext.end?.region || undefined
+  };
+}
+
+// "City, Region" when both are known
+function formatPlace(city?: string, region?: string): string {
+  return [city, region].filter(Boolean).join(', ');
+}
+
+// Get additional place details from the configured maps provider
 async function getGooglePlaceDetails(placeId: string): Promise<any> {
-  const apiKey = Deno.env.get('GOOGLE_MAPS_API_KEY');
-  if (!apiKey) return null;
+  const maps = createMapsProvider();
+  if (!maps) return null;
 
   try {
-    const detailsUrl = `https://maps.googleapis.com/maps/api/place/details/json?place_id=${placeId}&fields=name,formatted_address,rating,user_ratings_total,reviews,opening_hours,website,formatted_phone_number,types&key=${apiKey}`;
-    const response = await fetch(detailsUrl);
-    const data = await response.json();
-    
-    if (data.status === 'OK') {
-      return data.result;
-    }
+    return await maps.placeDetails(placeId, [
+      'name', 'formatted_address', 'rating', 'user_ratings_total', 'reviews',
+      'opening_hours', 'website', 'formatted_phone_number', 'types'
+    ]);
   } catch (error) {
     console.error('Google Places details error:', error);
   }
@@ -281,7 +358,7 @@ function buildStoryPrompt(poiData: any, researchData: any, routeContext: any): s
 
 Context:
 - Location: ${poiData.name} at ${poiData.address || 'unknown address'}
-- Driver route: From ${routeContext.start_city || 'starting point'} to ${routeContext.end_city || 'destination'}
+- Driver route: From ${formatPlace(routeContext.start_city, routeContext.start_region) || 'starting point'} to ${formatPlace(routeContext.end_city, routeContext.end_region) || 'destination'}
 - POI type: ${poiData.poi_type}
 - Current date: ${new Date().toLocaleDateString()}
 - Additional research: ${contextInfo}
@@ -343,33 +420,3 @@ function parseGeneratedStory(generatedText: string, poiData: any): any {
     word_count: words
   };
 }
-
-// Trigger audio generation for the story
-async function triggerAudioGeneration(storyId: string, content: string): Promise<void> {
-  try {
-    const audioRequest = {
-      story_id: storyId,
-      content: content,
-      voice_settings: {
-        speed: 'normal',
-        voice_id: 'default'
-      }
-    };
-
-    // Call the generate-audio function asynchronously
-    const response = await fetch(`${Deno.env.get('SUPABASE_URL')}/functions/v1/generate-audio`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')}`
-      },
-      body: JSON.stringify(audioRequest)
-    });
-
-    if (!response.ok) {
-      console.error('Audio generation trigger failed:', await response.text());
-    }
-  } catch (error) {
-    console.error('Audio generation trigger error:', error);
-  }
-}
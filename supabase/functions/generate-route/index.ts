@@ -1,5 +1,31 @@
 import "jsr:@supabase/functions-js/edge-runtime.d.ts";
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { createMapsProvider, describeLocality, withGeocodeCache } from '../_shared/maps/index.ts';
+import { createRateLimiter, mapWithConcurrency } from '../_shared/concurrency.ts';
+import { buildContentJob, enqueueJobs, refreshRouteProgress, wakeJobWorker } from '../_shared/jobs.ts';
+import { rankDistinctAlternatives, ROUTE_ALTERNATIVE_PROFILES } from '../_shared/alternatives.ts';
+import { calculateDistanceMeters, findNearestCoordinateIndex } from '../_shared/geometry.ts';
+import { assignPOIsToLegs, locateStopsOnRoute, mergeRouteWaypoints, resolveViaOrder } from '../_shared/itinerary.ts';
+import {
+  buildRouteVariantCandidates,
+  describeDroppedPOI,
+  MIN_ROUTE_STOPS,
+  selectScenicVariant,
+  summarizePOISelection
+} from '../_shared/poi-selection.ts';
+import { scheduleStoryPlayback, storeScheduledStories } from '../_shared/story-playback.ts';
+import {
+  buildReplayPayload,
+  buildRouteCacheKey,
+  DEFAULT_DEPARTURE_TIMEZONE,
+  DEFAULT_ROUTE_PREFERENCES,
+  DEFAULT_SIMPLIFY_TOLERANCE_METERS,
+  normalizeRouteOptions,
+  sha256Hex,
+  stableStringify
+} from '../_shared/route-keys.ts';
+import type { MapsProvider, RoutingOptions } from '../_shared/maps/index.ts';
+import type { GenerationJob } from '../_shared/jobs.ts';
 
 // Types for the route generation request and response
 interface RouteRequest {
@@ -7,19 +33,36 @@ interface RouteRequest {
     address?: string;
     coordinates?: [number, number]; // [latitude, longitude]
   };
-  end_location: {
+  end_location?: {
     address?: string;
     coordinates?: [number, number];
-  };
+  }; // Optional for loop routes, which return to the start by default
+  route_type?: 'point_to_point' | 'loop';
+  loop_target?: {
+    duration_seconds?: number;
+    distance_meters?: number;
+  }; // Required for loop routes
+  via_locations?: Array<{
+    address?: string;
+    coordinates?: [number, number];
+  }>; // Fixed stops visited between start and end
+  optimize_via_order?: boolean; // Let Directions reorder via_locations
+  alternatives?: number; // Number of ranked alternatives to return (1-3)
+  simplify_tolerance_meters?: number; // Douglas-Peucker tolerance for returned geometry; 0 keeps every point
+  async?: boolean; // Answer 202 with the route_id and keep generating in the background
+  departure_time?: string; // ISO 8601 or 'now'; routes with predicted traffic at that time
   preferences: {
     max_time_increase_percent?: number;
     interests?: string[];
     driving_speed?: 'slow' | 'normal' | 'fast';
     avoid_highways?: boolean;
-    vehicle_type?: string;
+    avoid_tolls?: boolean;
+    avoid_ferries?: boolean;
+    vehicle_type?: 'car' | 'motorcycle' | 'bicycle';
   };
   context?: {
-    time_of_day?: string;
+    time_of_day?: string; // morning | afternoon | evening | night; departure when departure_time is unset
+    timezone?: string; // IANA timezone the time_of_day bucket is in
     trip_purpose?: string;
     group_size?: number;
   };
@@ -27,19 +70,39 @@ interface RouteRequest {
 
 interface MapKitRoute {
   route_id: string;
+  request_id: string; // Shared by sibling alternatives
   status: 'processing' | 'completed' | 'failed';
   route: {
     coordinates: number[][]; // [[lat, lng], ...]
     total_distance_meters: number;
-    estimated_time_seconds: number;
+    estimated_time_seconds: number; // With predicted traffic when a departure time was resolved
+    free_flow_time_seconds: number; // Without traffic
+    traffic_time_seconds: number | null; // Null without a departure time or when Directions gave no traffic
+    departure_time: string | null;
     time_increase_percent: number;
     baseline_time_seconds: number;
     instructions: Array<{
       instruction: string;
+      spoken_instruction: string; // Short phrase for voice guidance
+      road_name: string | null;
       distance_meters: number;
+      duration_seconds: number; // With predicted traffic, like the leg
       coordinate: [number, number];
+      polyline_index_range: [number, number]; // First and last index of the step in coordinates
       maneuver_type: string;
+      complex_maneuver: boolean; // Roundabouts, ramps, forks and the like; stories wait for these
+      leg_index: number;
     }>;
+    legs: Array<{
+      leg_index: number;
+      start_coordinate: [number, number];
+      end_coordinate: [number, number];
+      distance_meters: number;
+      duration_seconds: number;
+      free_flow_duration_seconds: number;
+      instructions: any[];
+    }>;
+    via_order: number[]; // Indexes into via_locations in visiting order
     waypoints: Array<{
       coordinate: [number, number];
       name: string;
@@ -52,23 +115,90 @@ interface MapKitRoute {
     trigger_location: {
       latitude: number;
       longitude: number;
-    };
+    }; // On the route, far enough before the POI for the story to finish as the driver passes it
+    poi_location: {
+      latitude: number;
+      longitude: number;
+    }; // Where the POI itself is, for map pins
     trigger_radius_meters: number;
     audio_url?: string;
     duration_seconds?: number;
     category: string;
     priority: number;
     route_coordinate_index?: number;
+    route_fraction?: number; // Share of the route length driven before the story's POI
+    distance_from_route_meters?: number;
     estimated_trigger_time?: number;
+    playback_start_seconds?: number; // Later than estimated_trigger_time when the story was delayed
+    leg_index?: number;
+  }>;
+  playback_plan: {
+    stories: Array<{
+      story_id: string;
+      action: 'play' | 'delay' | 'shorten' | 'drop';
+      trigger_seconds: number;
+      start_seconds: number | null;
+      duration_seconds: number;
+      delay_seconds: number;
+    }>;
+    dropped_story_ids: string[];
+    total_playback_seconds: number;
+  };
+  alternatives?: Array<{
+    route_id: string;
+    label: string;
+    rank: number;
+    route: MapKitRoute['route'];
+    stories: MapKitRoute['stories'];
+    playback_plan: MapKitRoute['playback_plan'];
+    total_poi_score: number;
   }>;
   metadata: {
     total_stories: number;
     generation_time_seconds: number;
     cache_expires_utc: string;
-    coordinate_precision: number;
+    coordinate_precision: number; // Decimal places carried by the decoded polylines
+    location_context: {
+      start?: { locality: string | null; region: string | null; country: string | null };
+      end?: { locality: string | null; region: string | null; country: string | null };
+    };
+    geometry: {
+      source: 'steps' | 'overview';
+      simplify_tolerance_meters: number;
+      decoded_points: number;
+      returned_points: number;
+    };
+    loop?: {
+      target_duration_seconds: number;
+      target_distance_meters: number;
+      search_radius_meters: number;
+    };
+    poi_selection?: {
+      budget_seconds: number;
+      used_seconds: number;
+      min_stops_met: boolean;
+      selected: any[];
+      dropped: Array<{
+        google_place_id: string;
+        name: string;
+        popularity_score: number;
+        detour_seconds: number | null;
+        reason: string;
+      }>;
+    };
   };
 }
 
+// generation_progress written as each stage of route generation finishes. From route_stored
+// on, update_route_generation_progress moves it to 100 as stories get content and audio.
+const ROUTE_PROGRESS = {
+  created: 10,
+  route_calculated: 30,
+  stories_planned: 40,
+  alternatives_generated: 45,
+  route_stored: 50
+};
+
 Deno.serve(async (req: Request) => {
   const startTime = Date.now();
   
@@ -81,8 +211,23 @@ Deno.serve(async (req: Request) => {
     // Parse request body
     const requestData: RouteRequest = await req.json();
     
+    const isLoop = requestData.route_type === 'loop';
+
     // Validate required fields
-    if (!requestData.start_location || !requestData.end_location) {
+    if (isLoop && (!requestData.start_location || !requestData.loop_target)) {
+      return new Response(JSON.stringify({
+        error: {
+          code: 'MISSING_REQUIRED_FIELDS',
+          message: 'start_location and loop_target are required for loop routes',
+          details: { required_fields: ['start_location', 'loop_target'] }
+        }
+      }), { 
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (!isLoop && (!requestData.start_location || !requestData.end_location)) {
       return new Response(JSON.stringify({
         error: {
           code: 'MISSING_REQUIRED_FIELDS',
@@ -100,12 +245,31 @@ Deno.serve(async (req: Request) => {
     const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
     const supabase = createClient(supabaseUrl, supabaseKey);
 
+    // Geocoding, directions and places all go through the configured maps provider
+    const mapsProvider = createMapsProvider();
+    if (!mapsProvider) {
+      return new Response(JSON.stringify({
+        error: {
+          code: 'MAPS_PROVIDER_UNAVAILABLE',
+          message: 'Maps provider not configured'
+        }
+      }), { 
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Geocoding results are cached in the database across requests
+    const maps = withGeocodeCache(mapsProvider, supabase);
+
     // Generate unique route ID
     const routeId = crypto.randomUUID();
 
     // Convert addresses to coordinates if needed
-    const startCoords = await getCoordinates(requestData.start_location);
-    const endCoords = await getCoordinates(requestData.end_location);
+    const startCoords = await getCoordinates(maps, requestData.start_location);
+    const endCoords = isLoop && !requestData.end_location
+      ? startCoords
+      : await getCoordinates(maps, requestData.end_location!);
     
     if (!startCoords || !endCoords) {
       return new Response(JSON.stringify({
@@ -120,18 +284,79 @@ Deno.serve(async (req: Request) => {
       });
     }
 
-    // Store route in database with processing status
-    const { error: insertError } = await supabase
-      .from('routes')
-      .insert({
-        id: routeId,
-        start_location: `POINT(${startCoords[1]} ${startCoords[0]})`, // PostGIS format: lng lat
-        end_location: `POINT(${endCoords[1]} ${endCoords[0]})`,
-        route_path: 'LINESTRING EMPTY', // Will be updated after route calculation
-        preferences: requestData.preferences || {},
-        status: 'processing',
-        generation_progress: 10
+    const viaLocations = isLoop ? [] : requestData.via_locations || [];
+    const viaCoords = await Promise.all(viaLocations.map(location => getCoordinates(maps, location)));
+    const failedViaIndexes = viaCoords
+      .map((coords, i) => coords ? -1 : i)
+      .filter(i => i >= 0);
+
+    if (failedViaIndexes.length > 0) {
+      return new Response(JSON.stringify({
+        error: {
+          code: 'GEOCODING_FAILED',
+          message: 'Unable to geocode one or more via locations',
+          details: {
+            failed_via_indexes: failedViaIndexes,
+            suggestion: 'Provide valid addresses or coordinates'
+          }
+        }
+      }), { 
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
       });
+    }
+
+    // Retries with the same Idempotency-Key, and identical requests already in flight,
+    // attach to the existing generation instead of paying for another one
+    const idempotencyKey = req.headers.get('Idempotency-Key');
+    const requestFingerprint = await buildRequestFingerprint(requestData, startCoords, endCoords, viaCoords as number[][]);
+    const statusOrigin = new URL(req.url).origin;
+
+    const existingRoute = await findExistingGeneration(supabase, idempotencyKey, requestFingerprint);
+    if (existingRoute) {
+      return respondWithExistingGeneration(existingRoute, idempotencyKey, requestFingerprint, statusOrigin);
+    }
+
+    // Reverse geocode both ends so story prompts know where the trip runs
+    const locationContext = await buildLocationContext(maps, startCoords, endCoords);
+
+    // Alternatives share a request id and are stored as sibling route rows
+    const requestId = crypto.randomUUID();
+    const alternativeCount = isLoop ? 1 : Math.min(
+      Math.max(requestData.alternatives || 1, 1),
+      ROUTE_ALTERNATIVE_PROFILES.length
+    );
+
+    // Store route in database with processing status
+    const insertError = await insertRouteRecord(supabase, {
+      id: routeId,
+      request_id: requestId,
+      start_location: `POINT(${startCoords[1]} ${startCoords[0]})`, // PostGIS format: lng lat
+      end_location: `POINT(${endCoords[1]} ${endCoords[0]})`,
+      via_locations: viaCoords,
+      route_type: isLoop ? 'loop' : 'point_to_point',
+      loop_target: isLoop ? requestData.loop_target : null,
+      location_context: locationContext,
+      preferences: requestData.preferences || {},
+      idempotency_key: idempotencyKey,
+      request_fingerprint: requestFingerprint,
+      // Lets the api function serve later requests for the same cells and options from this route
+      cache_key: await buildRouteCacheKey(requestData, startCoords, endCoords, viaCoords as number[][]),
+      // Popular corridors are pre-generated by replaying the request
+      request_payload: buildReplayPayload(requestData, new Date()),
+      generation_source: req.headers.get('X-Generation-Source') === 'pregeneration' ? 'pregeneration' : 'request',
+      variant_rank: 1,
+      // With alternatives, audio waits until the client picks a route
+      is_selected: alternativeCount === 1
+    });
+
+    // A concurrent retry with the same Idempotency-Key got its route in first
+    if (insertError?.code === UNIQUE_VIOLATION_CODE && idempotencyKey) {
+      const concurrentRoute = await findExistingGeneration(supabase, idempotencyKey, requestFingerprint);
+      if (concurrentRoute) {
+        return respondWithExistingGeneration(concurrentRoute, idempotencyKey, requestFingerprint, statusOrigin);
+      }
+    }
 
     if (insertError) {
       console.error('Database insert error:', insertError);
@@ -146,24 +371,51 @@ Deno.serve(async (req: Request) => {
       });
     }
 
-    // Calculate scenic route with Google Maps API
-    const routeData = await calculateScenicRoute(
-      startCoords, 
-      endCoords, 
-      requestData.preferences || {}
-    );
+    const generation = {
+      supabase,
+      maps,
+      routeId,
+      requestId,
+      isLoop,
+      alternativeCount,
+      startCoords,
+      endCoords,
+      viaCoords,
+      locationContext,
+      requestData,
+      startTime
+    };
+
+    // Async mode answers before the route is calculated; progress is written to the route row.
+    // Retries replay the 202 until generation stores the finished route in its place.
+    if (requestData.async) {
+      const accepted = {
+        route_id: routeId,
+        request_id: requestId,
+        status: 'processing',
+        generation_progress: ROUTE_PROGRESS.created,
+        status_url: `${statusOrigin}/functions/v1/route-status/${routeId}`
+      };
+      await storeRouteResponse(supabase, routeId, 202, accepted);
 
-    if (!routeData.success) {
-      // Update route status to failed
-      await supabase
-        .from('routes')
-        .update({ status: 'failed', generation_progress: 0 })
-        .eq('id', routeId);
+      EdgeRuntime.waitUntil(runRouteGeneration(generation).catch(async (error: any) => {
+        console.error('Background route generation error:', error);
+        await failRouteRecord(supabase, routeId, 'An unexpected error occurred during route generation');
+      }));
 
+      return new Response(JSON.stringify(accepted), {
+        status: 202,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const result = await runRouteGeneration(generation);
+
+    if (!result.success) {
       return new Response(JSON.stringify({
         error: {
           code: 'ROUTE_GENERATION_FAILED',
-          message: routeData.error || 'Unable to generate route',
+          message: result.error || 'Unable to generate route',
           details: { 
             reason: 'No viable route found with specified parameters',
             suggestions: ['Check start/end locations', 'Increase max_time_increase_percent']
@@ -175,68 +427,7 @@ Deno.serve(async (req: Request) => {
       });
     }
 
-    // Update progress
-    await supabase
-      .from('routes')
-      .update({ generation_progress: 40 })
-      .eq('id', routeId);
-
-    // Discover POIs near the route
-    const poisData = await discoverPOIsNearRoute(routeData.route_path, routeData.coordinates);
-    
-    // Update progress  
-    await supabase
-      .from('routes')
-      .update({ generation_progress: 70 })
-      .eq('id', routeId);
-
-    // Generate stories for discovered POIs (async - trigger content generation function)
-    const stories = await generateStoriesForPOIs(routeId, poisData, supabase);
-
-    // Update route with final data
-    const { error: updateError } = await supabase
-      .from('routes')
-      .update({
-        route_path: `LINESTRING(${routeData.coordinates.map(coord => `${coord[1]} ${coord[0]}`).join(',')})`,
-        total_distance_meters: routeData.total_distance_meters,
-        estimated_time_seconds: routeData.estimated_time_seconds,
-        baseline_time_seconds: routeData.baseline_time_seconds,
-        time_increase_percent: routeData.time_increase_percent,
-        status: 'completed',
-        generation_progress: 100,
-        cache_expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // 24 hours
-      })
-      .eq('id', routeId);
-
-    if (updateError) {
-      console.error('Route update error:', updateError);
-    }
-
-    const generationTime = (Date.now() - startTime) / 1000;
-
-    // Build MapKit-compatible response
-    const response: MapKitRoute = {
-      route_id: routeId,
-      status: 'completed',
-      route: {
-        coordinates: routeData.coordinates, // [[lat, lng], ...]
-        total_distance_meters: routeData.total_distance_meters,
-        estimated_time_seconds: routeData.estimated_time_seconds,
-        time_increase_percent: routeData.time_increase_percent,
-        baseline_time_seconds: routeData.baseline_time_seconds,
-        instructions: routeData.instructions,
-        waypoints: routeData.waypoints
-      },
-      stories: stories,
-      metadata: {
-        total_stories: stories.length,
-        generation_time_seconds: generationTime,
-        cache_expires_utc: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
-        coordinate_precision: 6
-      }
-    };
-
-    return new Response(JSON.stringify(response), {
+    return new Response(JSON.stringify(result.response), {
       status: 200,
       headers: { 'Content-Type': 'application/json' }
     });
@@ -255,8 +446,294 @@ Deno.serve(async (req: Request) => {
   }
 });
 
+// Calculate the route, its stories and any alternatives, then build the MapKit response.
+// Each finished stage is written to generation_progress for realtime subscribers.
+async function runRouteGeneration(generation: any): Promise<{ success: boolean; error?: string; response?: MapKitRoute }> {
+  const {
+    supabase,
+    maps,
+    routeId,
+    requestId,
+    isLoop,
+    alternativeCount,
+    startCoords,
+    endCoords,
+    viaCoords,
+    locationContext,
+    requestData,
+    startTime
+  } = generation;
+
+  // Resolved when generation starts, so async and pre-generated routes depart in the future
+  const departureTime = resolveDepartureTime(requestData, new Date());
+
+  // Calculate scenic route (or loop) with Google Maps API
+  const routeData = isLoop
+    ? await calculateLoopRoute(
+      maps,
+      supabase,
+      startCoords,
+      endCoords,
+      requestData.loop_target!,
+      requestData.preferences || {},
+      departureTime
+    )
+    : await calculateScenicRoute(
+      maps,
+      supabase,
+      startCoords, 
+      endCoords, 
+      viaCoords as Array<[number, number]>,
+      requestData.preferences || {},
+      requestData.optimize_via_order || false,
+      alternativeCount,
+      departureTime
+    );
+
+  if (!routeData.success) {
+    await failRouteRecord(supabase, routeId, routeData.error || 'Unable to generate route');
+    return { success: false, error: routeData.error };
+  }
+
+  await updateRouteProgress(supabase, routeId, ROUTE_PROGRESS.route_calculated, { variant_label: routeData.label });
+
+  // Plan stories for the POIs on the chosen route; content and audio are queued as jobs
+  const { stories, playbackPlan } = await generateStoriesForPOIs(routeId, routeData, requestData.preferences || {}, supabase);
+
+  await updateRouteProgress(supabase, routeId, ROUTE_PROGRESS.stories_planned);
+
+  // Full-resolution geometry is stored; the client picks how far the returned copy is simplified
+  const simplifyTolerance = requestData.simplify_tolerance_meters ?? DEFAULT_SIMPLIFY_TOLERANCE_METERS;
+
+  // Store lower-ranked alternatives as sibling routes with their own stories
+  const alternatives = [buildAlternativeSummary(routeId, routeData, stories, playbackPlan, simplifyTolerance)];
+  for (const [index, alternative] of routeData.alternatives.entries()) {
+    const alternativeId = crypto.randomUUID();
+    const alternativeInsertError = await insertRouteRecord(supabase, {
+      id: alternativeId,
+      request_id: requestId,
+      start_location: `POINT(${startCoords[1]} ${startCoords[0]})`,
+      end_location: `POINT(${endCoords[1]} ${endCoords[0]})`,
+      via_locations: viaCoords,
+      location_context: locationContext,
+      preferences: requestData.preferences || {},
+      variant_label: alternative.label,
+      variant_rank: alternative.rank,
+      is_selected: false
+    });
+
+    if (alternativeInsertError) {
+      console.error('Alternative route insert error:', alternativeInsertError);
+      continue;
+    }
+
+    const { stories: alternativeStories, playbackPlan: alternativePlaybackPlan } = await generateStoriesForPOIs(
+      alternativeId,
+      alternative,
+      requestData.preferences || {},
+      supabase
+    );
+    await storeRouteRecord(supabase, alternativeId, alternative);
+    alternatives.push(buildAlternativeSummary(
+      alternativeId,
+      alternative,
+      alternativeStories,
+      alternativePlaybackPlan,
+      simplifyTolerance
+    ));
+    await updateRouteProgress(
+      supabase,
+      routeId,
+      interpolateProgress(ROUTE_PROGRESS.stories_planned, ROUTE_PROGRESS.alternatives_generated, (index + 1) / routeData.alternatives.length)
+    );
+  }
+
+  // The requested route is stored last so its progress only moves past alternatives once they are stored
+  await storeRouteRecord(supabase, routeId, routeData);
+
+  const generationTime = (Date.now() - startTime) / 1000;
+
+  const { route: routeBody, stories: responseStories } = buildMapKitRouteBody(routeData, stories, simplifyTolerance);
+
+  // Build MapKit-compatible response
+  const response: MapKitRoute = {
+    route_id: routeId,
+    request_id: requestId,
+    // Story content and audio are still being generated through the job queue
+    status: stories.length === 0 ? 'completed' : 'processing',
+    route: routeBody,
+    stories: responseStories,
+    playback_plan: playbackPlan,
+    alternatives: alternativeCount > 1 ? alternatives : undefined,
+    metadata: {
+      total_stories: stories.length,
+      generation_time_seconds: generationTime,
+      cache_expires_utc: calculateCacheExpiry(routeData.departure_time, new Date()).toISOString(),
+      coordinate_precision: POLYLINE_PRECISION,
+      geometry: {
+        source: routeData.geometry_source,
+        simplify_tolerance_meters: simplifyTolerance,
+        decoded_points: routeData.coordinates.length,
+        returned_points: routeBody.coordinates.length
+      },
+      location_context: locationContext,
+      poi_selection: routeData.poi_selection,
+      loop: routeData.loop
+    }
+  };
+
+  // Idempotency-Key retries replay the finished route, also after an async 202, and the
+  // route cache serves it with fresh story audio
+  await storeRouteResponse(supabase, routeId, 200, response);
+
+  return { success: true, response };
+}
+
+// Insert a route row in processing state
+async function insertRouteRecord(supabase: any, record: any): Promise<any> {
+  const { error } = await supabase
+    .from('routes')
+    .insert({
+      ...record,
+      route_path: 'LINESTRING EMPTY', // Will be updated after route calculation
+      status: 'processing',
+      generation_progress: ROUTE_PROGRESS.created
+    });
+  return error;
+}
+
+// Completed routes are served from the route cache for a day
+const ROUTE_CACHE_TTL_HOURS = 24;
+
+// Predicted traffic is only served until this long after the departure it was predicted for
+const TRAFFIC_ROUTE_CACHE_HOURS_AFTER_DEPARTURE = 3;
+
+// When a stored route stops being served from the route cache
+function calculateCacheExpiry(departureTime: string | null, now: Date): Date {
+  const expiresAt = now.getTime() + ROUTE_CACHE_TTL_HOURS * 60 * 60 * 1000;
+  if (!departureTime) {
+    return new Date(expiresAt);
+  }
+
+  const trafficExpiresAt = new Date(departureTime).getTime() + TRAFFIC_ROUTE_CACHE_HOURS_AFTER_DEPARTURE * 60 * 60 * 1000;
+  return new Date(Math.min(expiresAt, trafficExpiresAt));
+}
+
+// Store calculated route geometry and timing. The route completes once every story has
+// content (and audio, when selected); stories already finished are counted straight away.
+async function storeRouteRecord(supabase: any, routeId: string, routeData: any): Promise<void> {
+  const { error: updateError } = await supabase
+    .from('routes')
+    .update({
+      route_path: `LINESTRING(${routeData.coordinates.map((coord: number[]) => `${coord[1]} ${coord[0]}`).join(',')})`,
+      total_distance_meters: routeData.total_distance_meters,
+      estimated_time_seconds: routeData.estimated_time_seconds,
+      free_flow_time_seconds: routeData.free_flow_time_seconds,
+      departure_time: routeData.departure_time,
+      baseline_time_seconds: routeData.baseline_time_seconds,
+      time_increase_percent: routeData.time_increase_percent,
+      generation_progress: ROUTE_PROGRESS.route_stored,
+      cache_expires_at: calculateCacheExpiry(routeData.departure_time, new Date()).toISOString()
+    })
+    .eq('id', routeId);
+
+  if (updateError) {
+    console.error('Route update error:', updateError);
+    return;
+  }
+
+  await refreshRouteProgress(supabase, routeId);
+}
+
+// Record generation progress on the route row, with any extra columns to update alongside it
+async function updateRouteProgress(supabase: any, routeId: string, progress: number, fields: any = {}): Promise<void> {
+  const { error } = await supabase
+    .from('routes')
+    .update({ ...fields, generation_progress: progress })
+    .eq('id', routeId);
+
+  if (error) {
+    console.error('Route progress update error:', error);
+  }
+}
+
+// Mark a route failed and keep the reason for status polling and realtime subscribers
+async function failRouteRecord(supabase: any, routeId: string, message: string): Promise<void> {
+  const { error } = await supabase
+    .from('routes')
+    .update({ status: 'failed', generation_progress: 0, error_message: message })
+    .eq('id', routeId);
+
+  if (error) {
+    console.error('Route failure update error:', error);
+  }
+}
+
+// Progress between two stages for a finished share of the work in the later one
+function interpolateProgress(from: number, to: number, share: number): number {
+  return Math.round(from + (to - from) * Math.min(Math.max(share, 0), 1));
+}
+
+// Build the MapKit-compatible route body and stories from calculated route data.
+// Story and instruction coordinate indexes are stored against the full-resolution route and
+// remapped onto the simplified coordinates returned to the client.
+function buildMapKitRouteBody(
+  routeData: any,
+  stories: any[],
+  simplifyToleranceMeters: number
+): { route: MapKitRoute['route']; stories: MapKitRoute['stories'] } {
+  const keptIndexes = simplifyRouteIndexes(routeData.coordinates, simplifyToleranceMeters);
+  const remapInstruction = (instruction: any) => ({
+    ...instruction,
+    polyline_index_range: instruction.polyline_index_range &&
+      instruction.polyline_index_range.map((index: number) => findSimplifiedIndex(keptIndexes, index))
+  });
+
+  return {
+    route: {
+      coordinates: keptIndexes.map(i => routeData.coordinates[i]), // [[lat, lng], ...]
+      total_distance_meters: routeData.total_distance_meters,
+      estimated_time_seconds: routeData.estimated_time_seconds,
+      free_flow_time_seconds: routeData.free_flow_time_seconds,
+      traffic_time_seconds: routeData.traffic_time_seconds,
+      departure_time: routeData.departure_time,
+      time_increase_percent: routeData.time_increase_percent,
+      baseline_time_seconds: routeData.baseline_time_seconds,
+      instructions: routeData.instructions.map(remapInstruction),
+      legs: routeData.legs.map((leg: any) => ({ ...leg, instructions: leg.instructions.map(remapInstruction) })),
+      via_order: routeData.via_order,
+      waypoints: routeData.waypoints
+    },
+    stories: stories.map(story => ({
+      ...story,
+      route_coordinate_index: findSimplifiedIndex(keptIndexes, story.route_coordinate_index)
+    }))
+  };
+}
+
+// Summarize one ranked alternative for the route picker
+function buildAlternativeSummary(
+  routeId: string,
+  routeData: any,
+  stories: any[],
+  playbackPlan: any,
+  simplifyToleranceMeters: number
+): any {
+  return {
+    route_id: routeId,
+    label: routeData.label,
+    rank: routeData.rank,
+    ...buildMapKitRouteBody(routeData, stories, simplifyToleranceMeters),
+    playback_plan: playbackPlan,
+    total_poi_score: routeData.pois.reduce((sum: number, poi: any) => sum + poi.popularity_score, 0)
+  };
+}
+
 // Helper function to convert address to coordinates or validate coordinates
-async function getCoordinates(location: { address?: string; coordinates?: [number, number] }): Promise<[number, number] | null> {
+async function getCoordinates(
+  maps: MapsProvider,
+  location: { address?: string; coordinates?: [number, number] }
+): Promise<[number, number] | null> {
   if (location.coordinates) {
     // Validate coordinates format [latitude, longitude]
     const [lat, lng] = location.coordinates;
@@ -267,20 +744,10 @@ async function getCoordinates(location: { address?: string; coordinates?: [numbe
   }
   
   if (location.address) {
-    // Use Google Geocoding API
-    const apiKey = Deno.env.get('GOOGLE_MAPS_API_KEY');
-    if (!apiKey) {
-      console.error('Google Maps API key not found');
-      return null;
-    }
-
     try {
-      const geocodeUrl = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(location.address)}&key=${apiKey}`;
-      const response = await fetch(geocodeUrl);
-      const data = await response.json();
-      
-      if (data.results && data.results.length > 0) {
-        const { lat, lng } = data.results[0].geometry.location;
+      const result = await maps.geocode(location.address);
+      if (result) {
+        const { lat, lng } = result.geometry.location;
         return [lat, lng];
       }
     } catch (error) {
@@ -291,54 +758,303 @@ async function getCoordinates(location: { address?: string; coordinates?: [numbe
   return null;
 }
 
-// Calculate scenic route using Google Maps with POI waypoints
+// Locality, region and country of the route start and end; empty when reverse geocoding fails
+async function buildLocationContext(
+  maps: MapsProvider,
+  startCoords: [number, number],
+  endCoords: [number, number]
+): Promise<any> {
+  try {
+    const sameEnds = startCoords[0] === endCoords[0] && startCoords[1] === endCoords[1];
+    const startResult = await maps.reverseGeocode(startCoords);
+    const endResult = sameEnds ? startResult : await maps.reverseGeocode(endCoords);
+
+    return {
+      start: describeLocality(startResult),
+      end: describeLocality(endResult)
+    };
+  } catch (error) {
+    console.error('Reverse geocoding error:', error);
+    return {};
+  }
+}
+
+// Postgres error code for a unique constraint violation
+const UNIQUE_VIOLATION_CODE = '23505';
+
+// Identical requests started this recently are joined; older processing rows are assumed abandoned
+const COALESCE_WINDOW_MINUTES = 10;
+
+// Coordinates are compared at 4 decimals (~11 m) when matching identical requests
+const FINGERPRINT_COORDINATE_DECIMALS = 4;
+
+// SHA-256 hex digest identifying requests that would generate the same route
+function buildRequestFingerprint(
+  requestData: RouteRequest,
+  startCoords: number[],
+  endCoords: number[],
+  viaCoords: number[][]
+): Promise<string> {
+  const round = (coords: number[]) => coords.map(value => Number(value.toFixed(FINGERPRINT_COORDINATE_DECIMALS)));
+
+  return sha256Hex(stableStringify({
+    start: round(startCoords),
+    end: round(endCoords),
+    via: viaCoords.map(round),
+    options: normalizeRouteOptions(requestData),
+    // Identical requests share one response, so its geometry must match too
+    simplify_tolerance_meters: requestData.simplify_tolerance_meters ?? DEFAULT_SIMPLIFY_TOLERANCE_METERS
+  }));
+}
+
+// Route to answer from instead of generating: the live route stored under the Idempotency-Key,
+// otherwise a recent identical request that is still processing
+async function findExistingGeneration(supabase: any, idempotencyKey: string | null, fingerprint: string): Promise<any | null> {
+  const columns = 'id, request_id, status, generation_progress, idempotency_key, request_fingerprint, response_status, response_body';
+
+  if (idempotencyKey) {
+    const { data: keyedRoute, error: keyError } = await supabase
+      .from('routes')
+      .select(columns)
+      .eq('idempotency_key', idempotencyKey)
+      .eq('variant_rank', 1)
+      .neq('status', 'failed')
+      .maybeSingle();
+
+    if (keyError) {
+      console.error('Idempotency key lookup error:', keyError);
+    } else if (keyedRoute) {
+      return keyedRoute;
+    }
+  }
+
+  const { data: inFlightRoutes, error: inFlightError } = await supabase
+    .from('routes')
+    .select(columns)
+    .eq('request_fingerprint', fingerprint)
+    .eq('variant_rank', 1)
+    .eq('status', 'processing')
+    .gt('created_at', new Date(Date.now() - COALESCE_WINDOW_MINUTES * 60 * 1000).toISOString())
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (inFlightError) {
+    console.error('In-flight route lookup error:', inFlightError);
+    return null;
+  }
+
+  return inFlightRoutes?.[0] || null;
+}
+
+// Replay the stored response of an existing generation, or point at it while it has none yet.
+// An Idempotency-Key reused for a different request is rejected.
+function respondWithExistingGeneration(
+  route: any,
+  idempotencyKey: string | null,
+  fingerprint: string,
+  statusOrigin: string
+): Response {
+  if (idempotencyKey && route.idempotency_key === idempotencyKey && route.request_fingerprint !== fingerprint) {
+    return new Response(JSON.stringify({
+      error: {
+        code: 'IDEMPOTENCY_KEY_REUSED',
+        message: 'Idempotency-Key was already used for a different route request',
+        details: { route_id: route.id }
+      }
+    }), { 
+      status: 422,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  if (route.response_body) {
+    return new Response(JSON.stringify(route.response_body), {
+      status: route.response_status,
+      headers: { 'Content-Type': 'application/json', 'Idempotent-Replayed': 'true' }
+    });
+  }
+
+  return new Response(JSON.stringify({
+    route_id: route.id,
+    request_id: route.request_id,
+    status: route.status,
+    generation_progress: route.generation_progress,
+    status_url: `${statusOrigin}/functions/v1/route-status/${route.id}`,
+    coalesced: true
+  }), {
+    status: 202,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+// Keep the response sent for a route so retries and identical requests can replay it
+async function storeRouteResponse(supabase: any, routeId: string, status: number, body: any): Promise<void> {
+  const { error } = await supabase
+    .from('routes')
+    .update({ response_status: status, response_body: body })
+    .eq('id', routeId);
+
+  if (error) {
+    console.error('Route response store error:', error);
+  }
+}
+
+// Maximum POIs priced for detour cost (Distance Matrix allows 25 destinations per request)
+const MAX_CANDIDATE_POIS = 20;
+
+// Google Directions travel mode for each supported vehicle_type.
+// The Directions API has no two-wheeler mode, so motorcycles are routed as driving.
+const VEHICLE_TRAVEL_MODES: { [key: string]: string } = {
+  car: 'driving',
+  motorcycle: 'driving',
+  bicycle: 'bicycling'
+};
+
+// Multiplier applied to Directions travel times for each driving_speed
+const DRIVING_SPEED_TIME_FACTORS: { [key: string]: number } = {
+  slow: 1.2,
+  normal: 1.0,
+  fast: 0.85
+};
+
+// Build the travel mode, avoid and departure options shared by directions and distance matrix calls
+function buildRoutingOptions(preferences: any, departureTime: Date | null = null): RoutingOptions {
+  const travelMode = VEHICLE_TRAVEL_MODES[preferences.vehicle_type] || 'driving';
+
+  const avoid: string[] = [];
+  if (preferences.avoid_highways) avoid.push('highways');
+  if (preferences.avoid_tolls) avoid.push('tolls');
+  if (preferences.avoid_ferries) avoid.push('ferries');
+
+  return {
+    mode: travelMode,
+    avoid,
+    departureTime: departureTime ? Math.floor(departureTime.getTime() / 1000) : undefined
+  };
+}
+
+// Local departure hour for each context.time_of_day bucket: the rush hours for morning and
+// evening, so commuters see the traffic they will meet
+const TIME_OF_DAY_DEPARTURE_HOURS: { [bucket: string]: number } = {
+  morning: 8,
+  afternoon: 14,
+  evening: 17,
+  night: 22
+};
+
+// Departure time for traffic-aware routing: departure_time if set, otherwise the next start of
+// the time_of_day bucket, otherwise null for free-flow routing. Directions rejects departures
+// in the past, so those depart now.
+function resolveDepartureTime(requestData: RouteRequest, now: Date): Date | null {
+  if (requestData.departure_time) {
+    const departure = requestData.departure_time === 'now' ? now : new Date(requestData.departure_time);
+    return departure.getTime() > now.getTime() ? departure : now;
+  }
+
+  const bucketHour = TIME_OF_DAY_DEPARTURE_HOURS[requestData.context?.time_of_day || ''];
+  if (bucketHour === undefined) {
+    return null;
+  }
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: requestData.context?.timezone || DEFAULT_DEPARTURE_TIMEZONE,
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+  const localMinutes = Number(parts.find(part => part.type === 'hour')!.value) * 60 +
+    Number(parts.find(part => part.type === 'minute')!.value);
+  const minutesAhead = (bucketHour * 60 - localMinutes + 24 * 60) % (24 * 60);
+
+  const departure = new Date(now.getTime() + minutesAhead * 60 * 1000);
+  departure.setUTCSeconds(0, 0);
+  return departure.getTime() > now.getTime() ? departure : now;
+}
+
+// Calculate scenic route through POI waypoints using the maps provider.
+// viaCoords are user stops visited in order (or reordered when optimizeViaOrder is set).
+// When alternativeCount > 1, the lower-ranked routes are returned in `alternatives`.
 async function calculateScenicRoute(
+  maps: MapsProvider,
+  supabase: any,
   startCoords: [number, number], 
   endCoords: [number, number], 
-  preferences: any
+  viaCoords: Array<[number, number]>,
+  preferences: any,
+  optimizeViaOrder = false,
+  alternativeCount = 1,
+  departureTime: Date | null = null
 ): Promise<any> {
-  const apiKey = Deno.env.get('GOOGLE_MAPS_API_KEY');
-  if (!apiKey) {
-    return { success: false, error: 'Google Maps API key not configured' };
-  }
+  const routingOptions = buildRoutingOptions(preferences, departureTime);
 
   try {
-    // First, calculate baseline route
-    const baselineUrl = `https://maps.googleapis.com/maps/api/directions/json?` +
-      `origin=${startCoords[0]},${startCoords[1]}&` +
-      `destination=${endCoords[0]},${endCoords[1]}&` +
-      `key=${apiKey}`;
-
-    const baselineResponse = await fetch(baselineUrl);
-    const baselineData = await baselineResponse.json();
+    // First, calculate baseline route through the user's stops
+    const baselineRoute = await maps.directions({
+      origin: startCoords,
+      destination: endCoords,
+      waypoints: viaCoords.map(location => ({ location, stopover: true })),
+      optimizeWaypoints: optimizeViaOrder && viaCoords.length > 1,
+      options: routingOptions
+    });
 
-    if (baselineData.status !== 'OK' || !baselineData.routes.length) {
+    if (!baselineRoute) {
       return { success: false, error: 'No baseline route found' };
     }
 
-    const baselineRoute = baselineData.routes[0];
-    const baselineTime = baselineRoute.legs[0].duration.value;
-    const baselineDistance = baselineRoute.legs[0].distance.value;
+    // Keep the stop order the provider chose so every later variant visits stops the same way
+    const viaOrder = resolveViaOrder(viaCoords.length, optimizeViaOrder, baselineRoute.waypoint_order);
+    const orderedViaCoords = viaOrder.map(i => viaCoords[i]);
 
-    // Decode polyline to coordinates for MapKit
-    const coordinates = decodePolyline(baselineRoute.overview_polyline.points);
-    
-    // Convert Google instructions to MapKit format
-    const instructions = convertGoogleInstructionsToMapKit(baselineRoute.legs[0].steps);
+    // Times, and so the detour budget, include predicted traffic when there is a departure time
+    const baselineTime = sumLegTravelSeconds(baselineRoute.legs);
+    const baselineGeometry = decodeRouteGeometry(baselineRoute);
+    const baselineCoordinates = baselineGeometry.coordinates;
+    const stops = locateStopsOnRoute(orderedViaCoords, baselineCoordinates);
+
+    // Discover POIs along the baseline route to use as scenic detour candidates
+    const pois = assignPOIsToLegs(
+      await discoverPOIsNearRoute(
+        maps,
+        supabase,
+        baselineRoute.overview_polyline.points,
+        baselineCoordinates,
+        preferences.interests || []
+      ),
+      stops
+    );
+
+    // Detour costs do not depend on the budget, so price them once for every alternative
+    const pricedPOIs = await estimatePOIDetourCosts(
+      maps,
+      [startCoords, ...orderedViaCoords, endCoords],
+      baselineRoute.legs,
+      pois,
+      routingOptions
+    );
+
+    const context = {
+      startCoords,
+      endCoords,
+      stops,
+      baselineRoute,
+      baselineTime,
+      baselineGeometry,
+      pricedPOIs,
+      viaOrder,
+      maps,
+      routingOptions
+    };
+
+    const maxIncreasePercent = preferences.max_time_increase_percent ?? DEFAULT_ROUTE_PREFERENCES.max_time_increase_percent;
+    const profiles = ROUTE_ALTERNATIVE_PROFILES.slice(0, Math.max(1, alternativeCount));
+    const distinctResults = rankDistinctAlternatives(await Promise.all(profiles.map(profile =>
+      buildScenicVariant(context, maxIncreasePercent * profile.budget_share)
+    )));
 
-    // For MVP, return baseline route (POI discovery will be handled separately)
-    // In production, this would generate route variants with POI waypoints
-    
     return {
       success: true,
-      coordinates: coordinates,
-      total_distance_meters: baselineDistance,
-      estimated_time_seconds: baselineTime,
-      baseline_time_seconds: baselineTime,
-      time_increase_percent: 0, // MVP: no increase for baseline route
-      instructions: instructions,
-      waypoints: [], // Will be populated by POI discovery
-      route_path: baselineRoute.overview_polyline.points
+      ...distinctResults[0],
+      alternatives: distinctResults.slice(1)
     };
 
   } catch (error) {
@@ -347,8 +1063,519 @@ async function calculateScenicRoute(
   }
 }
 
-// Decode Google polyline to coordinate array for MapKit
-function decodePolyline(encoded: string): number[][] {
+// Build the best route variant whose detour stays within maxIncreasePercent of the baseline
+async function buildScenicVariant(context: any, maxIncreasePercent: number): Promise<any> {
+  const { startCoords, endCoords, stops, baselineRoute, baselineTime, baselineGeometry } = context;
+
+  // Pick the best-scoring POI set that fits the time budget once priced with Directions
+  const { selected, poiSelection } = await selectScenicVariant(
+    context.pricedPOIs,
+    baselineTime,
+    maxIncreasePercent,
+    async (waypointPOIs) => {
+      const route = await context.maps.directions({
+        origin: startCoords,
+        destination: endCoords,
+        waypoints: mergeRouteWaypoints(stops, waypointPOIs),
+        options: context.routingOptions
+      });
+      return route ? { route, pois: waypointPOIs, time_seconds: sumLegTravelSeconds(route.legs) } : null;
+    }
+  );
+
+  // Fall back to the baseline route when no variant fits the time budget
+  const chosenRoute = selected ? selected.route : baselineRoute;
+  const chosenTime = sumLegTravelSeconds(chosenRoute.legs);
+  const timeIncreasePercent = selected
+    ? Math.round(((chosenTime - baselineTime) / baselineTime) * 100)
+    : 0;
+
+  const geometry = selected ? decodeRouteGeometry(chosenRoute) : baselineGeometry;
+
+  const legs = buildMapKitLegs(chosenRoute, geometry);
+
+  return {
+    coordinates: geometry.coordinates,
+    coordinate_times: geometry.times,
+    geometry_source: geometry.source,
+    total_distance_meters: sumLegValues(chosenRoute.legs, 'distance'),
+    estimated_time_seconds: chosenTime,
+    ...summarizeTraffic(chosenRoute.legs, context.routingOptions),
+    baseline_time_seconds: baselineTime,
+    time_increase_percent: timeIncreasePercent,
+    instructions: legs.flatMap((leg: any) => leg.instructions),
+    legs: legs,
+    waypoints: [
+      ...stops.map((stop: any) => ({
+        coordinate: stop.location,
+        name: `Stop ${stop.stop_index + 1}`,
+        type: 'stop'
+      })),
+      ...(selected?.pois || []).map((poi: any) => ({
+        coordinate: poi.location,
+        name: poi.name,
+        type: poi.poi_type
+      }))
+    ],
+    via_order: context.viaOrder,
+    // The baseline fallback visits no POIs, so none of them get stories
+    pois: selected ? selected.pois : [],
+    poi_selection: summarizePOISelection(poiSelection),
+    route_path: chosenRoute.overview_polyline.points
+  };
+}
+
+// Loop routes: assumed average scenic driving speed used to turn a target duration into a distance
+const LOOP_AVERAGE_SPEED_MPS = 13.9; // ~50 km/h
+
+// Roads wind, so a loop covers more distance than the ideal circle
+const LOOP_ROAD_WINDING_FACTOR = 1.3;
+
+// A loop may run this much over its target duration
+const LOOP_DURATION_TOLERANCE_PERCENT = 15;
+
+// A loop shorter than this fraction of its target duration is rejected
+const LOOP_MIN_DURATION_FRACTION = 0.75;
+
+// When every candidate loop is too short, the search ring grows by this factor and is retried
+const LOOP_RING_GROWTH_FACTOR = 1.5;
+const MAX_LOOP_RING_ATTEMPTS = 3;
+
+// Number of points on the search ring around the loop start
+const LOOP_RING_POINTS = 12;
+
+// Maximum POI stops on a loop
+const MAX_LOOP_STOPS = 5;
+
+// Calculate a closed scenic loop from the start through POIs around it.
+// The loop finishes at endCoords, which is the start point unless the request gave an end.
+async function calculateLoopRoute(
+  maps: MapsProvider,
+  supabase: any,
+  startCoords: [number, number],
+  endCoords: [number, number],
+  loopTarget: { duration_seconds?: number; distance_meters?: number },
+  preferences: any,
+  departureTime: Date | null = null
+): Promise<any> {
+  const routingOptions = buildRoutingOptions(preferences, departureTime);
+  const targetSeconds = loopTarget.duration_seconds ??
+    (loopTarget.distance_meters || 0) / LOOP_AVERAGE_SPEED_MPS;
+  const targetMeters = loopTarget.distance_meters ?? targetSeconds * LOOP_AVERAGE_SPEED_MPS;
+
+  if (!targetSeconds || targetSeconds <= 0) {
+    return { success: false, error: 'Loop routes need a target duration or distance' };
+  }
+
+  try {
+    // Out to the ring, around it and back: 2r + 2πr, stretched for winding roads
+    let ringRadius = targetMeters / (2 + 2 * Math.PI) / LOOP_ROAD_WINDING_FACTOR;
+    let selected: any = null;
+    let loopPOIs: any[] = [];
+
+    for (let attempt = 1; attempt <= MAX_LOOP_RING_ATTEMPTS; attempt++) {
+      const ring = generateLoopSearchRing(startCoords, ringRadius);
+
+      // Searching along the ring gives each POI the index of its ring point, i.e. its bearing order
+      const pois = await discoverPOIsNearRoute(maps, supabase, '', ring, preferences.interests || []);
+      loopPOIs = [...pois]
+        .sort((a, b) => b.popularity_score - a.popularity_score)
+        .slice(0, MAX_LOOP_STOPS);
+
+      // Price each candidate loop with a Directions call through its POIs
+      const candidates = buildRouteVariantCandidates(loopPOIs);
+      const variants = (await Promise.all(candidates.map(async (waypointPOIs) => {
+        const route = await maps.directions({
+          origin: startCoords,
+          destination: endCoords,
+          waypoints: waypointPOIs.map(poi => ({ location: poi.location, stopover: false })),
+          options: routingOptions
+        });
+        return route ? { route, pois: waypointPOIs, time_seconds: sumLegTravelSeconds(route.legs) } : null;
+      }))).filter(variant => variant !== null);
+
+      selected = selectLoopVariant(variants, targetSeconds);
+      if (selected || !isLoopRingTooSmall(variants, targetSeconds)) break;
+
+      ringRadius *= LOOP_RING_GROWTH_FACTOR;
+    }
+
+    if (!selected) {
+      return { success: false, error: 'No loop found within the target duration' };
+    }
+
+    const chosenRoute = selected.route;
+    const chosenTime = sumLegTravelSeconds(chosenRoute.legs);
+    const poiSelection = {
+      selected: selected.pois,
+      dropped: loopPOIs
+        .filter(poi => !selected.pois.includes(poi))
+        .map(poi => describeDroppedPOI(poi, 'loop_over_target')),
+      budget_seconds: Math.round(targetSeconds),
+      used_seconds: chosenTime,
+      min_stops_met: selected.pois.length >= MIN_ROUTE_STOPS
+    };
+
+    const geometry = decodeRouteGeometry(chosenRoute);
+    const legs = buildMapKitLegs(chosenRoute, geometry);
+
+    return {
+      success: true,
+      coordinates: geometry.coordinates,
+      coordinate_times: geometry.times,
+      geometry_source: geometry.source,
+      total_distance_meters: sumLegValues(chosenRoute.legs, 'distance'),
+      estimated_time_seconds: chosenTime,
+      ...summarizeTraffic(chosenRoute.legs, routingOptions),
+      baseline_time_seconds: chosenTime, // A loop has no direct route to compare against
+      time_increase_percent: 0,
+      instructions: legs.flatMap((leg: any) => leg.instructions),
+      legs: legs,
+      waypoints: selected.pois.map((poi: any) => ({
+        coordinate: poi.location,
+        name: poi.name,
+        type: poi.poi_type
+      })),
+      via_order: [],
+      pois: selected.pois,
+      poi_selection: summarizePOISelection(poiSelection),
+      loop: {
+        target_duration_seconds: Math.round(targetSeconds),
+        target_distance_meters: Math.round(targetMeters),
+        search_radius_meters: Math.round(ringRadius)
+      },
+      label: 'loop',
+      rank: 1,
+      alternatives: [],
+      route_path: chosenRoute.overview_polyline.points
+    };
+
+  } catch (error) {
+    console.error('Loop route calculation error:', error);
+    return { success: false, error: 'Loop route calculation failed' };
+  }
+}
+
+// Choose the loop closest to the target duration, between the minimum fraction and the
+// tolerance over it. Ties go to the higher total POI score.
+function selectLoopVariant(
+  variants: Array<{ pois: any[]; time_seconds: number }>,
+  targetSeconds: number
+): any | null {
+  const minTimeSeconds = targetSeconds * LOOP_MIN_DURATION_FRACTION;
+  const maxTimeSeconds = targetSeconds * (1 + LOOP_DURATION_TOLERANCE_PERCENT / 100);
+  let best: any = null;
+  let bestGap = Infinity;
+  let bestScore = -1;
+
+  for (const variant of variants) {
+    if (variant.time_seconds < minTimeSeconds || variant.time_seconds > maxTimeSeconds) continue;
+
+    const gap = Math.abs(variant.time_seconds - targetSeconds);
+    const score = variant.pois.reduce((sum, poi) => sum + poi.popularity_score, 0);
+    if (gap < bestGap || (gap === bestGap && score > bestScore)) {
+      best = variant;
+      bestGap = gap;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+// Every candidate loop falls short of the target, so a wider ring is worth searching
+function isLoopRingTooSmall(variants: Array<{ time_seconds: number }>, targetSeconds: number): boolean {
+  return variants.every(variant => variant.time_seconds < targetSeconds * LOOP_MIN_DURATION_FRACTION);
+}
+
+// Points evenly spaced clockwise from north on a circle around the center
+function generateLoopSearchRing(center: [number, number], radiusMeters: number): number[][] {
+  const earthRadius = 6371000;
+  const angularDistance = radiusMeters / earthRadius;
+  const lat1 = center[0] * Math.PI / 180;
+  const lng1 = center[1] * Math.PI / 180;
+
+  const ring: number[][] = [];
+  for (let i = 0; i < LOOP_RING_POINTS; i++) {
+    const bearing = (2 * Math.PI * i) / LOOP_RING_POINTS;
+    const lat2 = Math.asin(
+      Math.sin(lat1) * Math.cos(angularDistance) +
+      Math.cos(lat1) * Math.sin(angularDistance) * Math.cos(bearing)
+    );
+    const lng2 = lng1 + Math.atan2(
+      Math.sin(bearing) * Math.sin(angularDistance) * Math.cos(lat1),
+      Math.cos(angularDistance) - Math.sin(lat1) * Math.sin(lat2)
+    );
+    ring.push([lat2 * 180 / Math.PI, lng2 * 180 / Math.PI]);
+  }
+  return ring;
+}
+
+// Sum a Directions leg value ('duration' or 'distance') across all legs
+function sumLegValues(legs: any[], field: 'duration' | 'distance'): number {
+  return legs.reduce((sum, leg) => sum + leg[field].value, 0);
+}
+
+// Travel time of a Directions leg or Distance Matrix element: duration_in_traffic when the
+// request had a departure time, otherwise the free-flow duration
+function getTravelSeconds(element: any): number {
+  return element.duration_in_traffic?.value ?? element.duration.value;
+}
+
+// Sum leg travel times, with traffic where Directions predicted it
+function sumLegTravelSeconds(legs: any[]): number {
+  return legs.reduce((sum, leg) => sum + getTravelSeconds(leg), 0);
+}
+
+// Free-flow and traffic durations of a route. Directions only predicts traffic for driving
+// with a departure time and without stopover waypoints, so traffic_time_seconds can be null.
+function summarizeTraffic(legs: any[], routingOptions: RoutingOptions): any {
+  const hasTraffic = legs.length > 0 && legs.every(leg => leg.duration_in_traffic);
+  return {
+    free_flow_time_seconds: sumLegValues(legs, 'duration'),
+    traffic_time_seconds: hasTraffic ? sumLegTravelSeconds(legs) : null,
+    departure_time: routingOptions.departureTime ? new Date(routingOptions.departureTime * 1000).toISOString() : null
+  };
+}
+
+// Estimate each POI's detour cost as (leg start → POI → leg end) minus the leg time
+async function estimatePOIDetourCosts(
+  maps: MapsProvider,
+  legEndpoints: Array<[number, number]>,
+  legs: any[],
+  pois: any[],
+  routingOptions: RoutingOptions
+): Promise<any[]> {
+  const pricedPOIs = [...pois];
+
+  await Promise.all(legs.map(async (leg, legIndex) => {
+    const legPOIs = pois
+      .map((poi, i) => ({ poi, i }))
+      .filter(({ poi }) => poi.metadata.leg_index === legIndex);
+    if (legPOIs.length === 0) return;
+
+    const [legStart, legEnd] = [legEndpoints[legIndex], legEndpoints[legIndex + 1]];
+    const poiLocations = legPOIs.map(({ poi }) => poi.location);
+
+    const [toPOIs, fromPOIs] = await Promise.all([
+      maps.distanceMatrix([legStart], poiLocations, routingOptions),
+      maps.distanceMatrix(poiLocations, [legEnd], routingOptions)
+    ]);
+
+    legPOIs.forEach(({ poi, i }, j) => {
+      const toElement = toPOIs?.rows?.[0]?.elements?.[j];
+      const fromElement = fromPOIs?.rows?.[j]?.elements?.[0];
+
+      if (toElement?.status !== 'OK' || fromElement?.status !== 'OK') {
+        pricedPOIs[i] = { ...poi, detour_seconds: null };
+        return;
+      }
+
+      const viaTime = getTravelSeconds(toElement) + getTravelSeconds(fromElement);
+      pricedPOIs[i] = { ...poi, detour_seconds: Math.max(0, viaTime - getTravelSeconds(leg)) };
+    });
+  }));
+
+  return pricedPOIs;
+}
+
+// Encoded polylines from every maps provider use Google's precision of 5 decimal places
+const POLYLINE_PRECISION = 5;
+
+// Decode the full-resolution route geometry by joining every step polyline.
+// overview_polyline is heavily smoothed, so it is only used when a step has no polyline.
+// times[i] is the Directions travel time in seconds from the route start to coordinates[i].
+// Traffic is only predicted per leg, so it stretches each step of the leg by the same factor.
+// stepRanges[k] is the first and last coordinate index of the k-th step across all legs.
+function decodeRouteGeometry(route: any): {
+  coordinates: number[][];
+  times: number[];
+  stepRanges: Array<[number, number]>;
+  source: 'steps' | 'overview';
+} {
+  const steps = route.legs.flatMap((leg: any) => (leg.steps || []).map((step: any) => ({
+    ...step,
+    travel_seconds: leg.duration.value > 0 ? step.duration.value * getTravelSeconds(leg) / leg.duration.value : step.duration.value
+  })));
+  if (steps.length === 0 || steps.some((step: any) => !step.polyline?.points)) {
+    const coordinates = decodePolyline(route.overview_polyline.points);
+    return {
+      coordinates,
+      times: interpolateTravelTimes(coordinates, sumLegTravelSeconds(route.legs)),
+      stepRanges: locateStepsOnRoute(steps, coordinates),
+      source: 'overview'
+    };
+  }
+
+  const coordinates: number[][] = [];
+  const times: number[] = [];
+  const stepRanges: Array<[number, number]> = [];
+  let stepStartTime = 0;
+
+  for (const step of steps) {
+    const stepCoordinates = decodePolyline(step.polyline.points);
+    const stepTimes = interpolateTravelTimes(stepCoordinates, step.travel_seconds);
+    const stepStartIndex = Math.max(0, coordinates.length - 1);
+
+    stepCoordinates.forEach((point, i) => {
+      // Each step starts where the previous one ended
+      const last = coordinates[coordinates.length - 1];
+      if (!last || last[0] !== point[0] || last[1] !== point[1]) {
+        coordinates.push(point);
+        times.push(stepStartTime + stepTimes[i]);
+      }
+    });
+    stepStartTime += step.travel_seconds;
+    stepRanges.push([Math.min(stepStartIndex, coordinates.length - 1), coordinates.length - 1]);
+  }
+  return { coordinates, times, stepRanges, source: 'steps' };
+}
+
+// Index ranges of steps on smoothed overview geometry, from where each step starts
+function locateStepsOnRoute(steps: any[], coordinates: number[][]): Array<[number, number]> {
+  let searchFrom = 0;
+  const startIndexes = steps.map(step => {
+    searchFrom = findNearestCoordinateIndex(coordinates, [step.start_location.lat, step.start_location.lng], searchFrom);
+    return searchFrom;
+  });
+
+  return startIndexes.map((start, k) => [start, k + 1 < startIndexes.length ? startIndexes[k + 1] : coordinates.length - 1]);
+}
+
+// Spread a travel duration over a line in proportion to distance, as cumulative seconds per point
+function interpolateTravelTimes(coordinates: number[][], durationSeconds: number): number[] {
+  const cumulativeDistances = calculateCumulativeDistances(coordinates);
+  const totalDistance = cumulativeDistances[cumulativeDistances.length - 1];
+  return cumulativeDistances.map(distance =>
+    totalDistance > 0 ? durationSeconds * (distance / totalDistance) : 0
+  );
+}
+
+// Simplify a [lat, lng] line with Douglas-Peucker, keeping points further than toleranceMeters
+// from the simplified line. Returns the indexes of the kept points, in order.
+// Iterative so long routes cannot overflow the call stack.
+function simplifyRouteIndexes(coordinates: number[][], toleranceMeters: number): number[] {
+  if (toleranceMeters <= 0 || coordinates.length <= 2) {
+    return coordinates.map((_, i) => i);
+  }
+
+  const keep = new Array(coordinates.length).fill(false);
+  keep[0] = true;
+  keep[coordinates.length - 1] = true;
+
+  const ranges: Array<[number, number]> = [[0, coordinates.length - 1]];
+  while (ranges.length > 0) {
+    const [first, last] = ranges.pop()!;
+    let maxDistance = 0;
+    let maxIndex = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = calculateSegmentDistanceMeters(coordinates[i], coordinates[first], coordinates[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        maxIndex = i;
+      }
+    }
+
+    if (maxIndex >= 0 && maxDistance > toleranceMeters) {
+      keep[maxIndex] = true;
+      ranges.push([first, maxIndex], [maxIndex, last]);
+    }
+  }
+
+  return coordinates.map((_, i) => i).filter(i => keep[i]);
+}
+
+// Map a full-resolution coordinate index to the last kept point at or before it
+function findSimplifiedIndex(keptIndexes: number[], index: number): number {
+  let low = 0;
+  let high = keptIndexes.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (keptIndexes[mid] <= index) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+// Distance in meters from a point to the segment a-b, on a local equirectangular projection
+function calculateSegmentDistanceMeters(point: number[], a: number[], b: number[]): number {
+  return projectOntoSegment(point, a, b).distance_meters;
+}
+
+// Project a point onto the segment a-b: t is the position along the segment (0 at a, 1 at b)
+function projectOntoSegment(point: number[], a: number[], b: number[]): { t: number; distance_meters: number } {
+  const metersPerDegreeLat = 111320;
+  const metersPerDegreeLng = metersPerDegreeLat * Math.cos(point[0] * Math.PI / 180);
+  const project = (coord: number[]) => [
+    (coord[1] - point[1]) * metersPerDegreeLng,
+    (coord[0] - point[0]) * metersPerDegreeLat
+  ];
+
+  const [ax, ay] = project(a);
+  const [bx, by] = project(b);
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+
+  return { t, distance_meters: Math.hypot(ax + t * dx, ay + t * dy) };
+}
+
+// Cumulative distance in meters from the route start to each coordinate
+function calculateCumulativeDistances(coordinates: number[][]): number[] {
+  const distances = [0];
+  for (let i = 1; i < coordinates.length; i++) {
+    distances.push(distances[i - 1] + calculateDistanceMeters(coordinates[i - 1], coordinates[i]));
+  }
+  return distances;
+}
+
+// Project a point onto the closest route segment.
+// Returns the perpendicular distance, the nearest vertex index, the fraction of the
+// route length before the projected point, and the segment it falls on.
+function projectOntoRoute(
+  coordinates: number[][],
+  cumulativeDistances: number[],
+  point: number[]
+): { route_coordinate_index: number; distance_from_route_meters: number; route_fraction: number; segment_index: number; segment_t: number } {
+  if (coordinates.length < 2) {
+    return {
+      route_coordinate_index: 0,
+      distance_from_route_meters: coordinates.length ? calculateDistanceMeters(coordinates[0], point) : 0,
+      route_fraction: 0,
+      segment_index: 0,
+      segment_t: 0
+    };
+  }
+
+  let best = { segment_index: 0, t: 0, distance_meters: Infinity };
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    const projection = projectOntoSegment(point, coordinates[i], coordinates[i + 1]);
+    if (projection.distance_meters < best.distance_meters) {
+      best = { segment_index: i, ...projection };
+    }
+  }
+
+  const i = best.segment_index;
+  const totalDistance = cumulativeDistances[cumulativeDistances.length - 1];
+  const alongDistance = cumulativeDistances[i] + best.t * (cumulativeDistances[i + 1] - cumulativeDistances[i]);
+
+  return {
+    route_coordinate_index: best.t < 0.5 ? i : i + 1,
+    distance_from_route_meters: best.distance_meters,
+    route_fraction: totalDistance > 0 ? alongDistance / totalDistance : 0,
+    segment_index: i,
+    segment_t: best.t
+  };
+}
+
+// Decode an encoded polyline to a [lat, lng] coordinate array for MapKit
+function decodePolyline(encoded: string, precision = POLYLINE_PRECISION): number[][] {
+  const factor = Math.pow(10, precision);
   const coordinates: number[][] = [];
   let index = 0;
   let lat = 0;
@@ -381,117 +1608,476 @@ function decodePolyline(encoded: string): number[][] {
     lng += deltaLng;
 
     // Return in [latitude, longitude] format for MapKit
-    coordinates.push([lat / 1e5, lng / 1e5]);
+    coordinates.push([lat / factor, lng / factor]);
   }
 
   return coordinates;
 }
 
-// Convert Google turn instructions to MapKit format
-function convertGoogleInstructionsToMapKit(steps: any[]): any[] {
-  return steps.map(step => ({
-    instruction: step.html_instructions.replace(/<[^>]*>/g, ''), // Strip HTML tags
-    distance_meters: step.distance.value,
-    coordinate: [step.start_location.lat, step.start_location.lng],
-    maneuver_type: mapGoogleManeuverToMapKit(step.maneuver || 'straight')
-  }));
+// MapKit legs for a Directions route, with each instruction placed on the decoded geometry
+function buildMapKitLegs(route: any, geometry: any): any[] {
+  let stepOffset = 0;
+
+  return route.legs.map((leg: any, legIndex: number) => {
+    const steps = leg.steps || [];
+    const stepRanges = geometry.stepRanges.slice(stepOffset, stepOffset + steps.length);
+    stepOffset += steps.length;
+
+    return {
+      leg_index: legIndex,
+      start_coordinate: [leg.start_location.lat, leg.start_location.lng],
+      end_coordinate: [leg.end_location.lat, leg.end_location.lng],
+      distance_meters: leg.distance.value,
+      duration_seconds: getTravelSeconds(leg),
+      free_flow_duration_seconds: leg.duration.value,
+      instructions: convertGoogleInstructionsToMapKit(steps, stepRanges, getTravelSeconds(leg) / (leg.duration.value || 1))
+        .map(instruction => ({ ...instruction, leg_index: legIndex }))
+    };
+  });
 }
 
-// Map Google maneuver types to MapKit compatible types
-function mapGoogleManeuverToMapKit(googleManeuver: string): string {
-  const maneuverMap: { [key: string]: string } = {
-    'turn-left': 'turn_left',
-    'turn-right': 'turn_right',
-    'turn-sharp-left': 'turn_sharp_left',
-    'turn-sharp-right': 'turn_sharp_right',
-    'turn-slight-left': 'turn_slight_left',
-    'turn-slight-right': 'turn_slight_right',
-    'straight': 'continue_straight',
-    'uturn-left': 'u_turn',
-    'uturn-right': 'u_turn',
-    'merge': 'merge',
-    'fork-left': 'fork_left',
-    'fork-right': 'fork_right',
-    'keep-left': 'keep_left',
-    'keep-right': 'keep_right',
-    'ramp-left': 'ramp_left',
-    'ramp-right': 'ramp_right'
-  };
-  
-  return maneuverMap[googleManeuver] || 'continue_straight';
+// Convert Directions steps to MapKit instructions. Step durations are stretched by the leg's
+// traffic factor; stepRanges index the full-resolution route coordinates.
+function convertGoogleInstructionsToMapKit(steps: any[], stepRanges: Array<[number, number]>, trafficFactor = 1): any[] {
+  return steps.map((step, k) => {
+    // Google's notes such as "Destination will be on the right" come in a nested div
+    const instruction = step.html_instructions
+      .replace(/<div[^>]*>/g, '. ')
+      .replace(/<[^>]*>/g, '') // Strip HTML tags
+      .replace(/\s+/g, ' ')
+      .trim();
+    const maneuverType = k === 0 && !step.maneuver
+      ? 'depart'
+      : mapGoogleManeuverToMapKit(step.maneuver || 'straight', instruction);
+    const roadName = extractRoadName(step.html_instructions);
+
+    return {
+      instruction,
+      spoken_instruction: buildSpokenInstruction(maneuverType, roadName, step.html_instructions),
+      road_name: roadName,
+      distance_meters: step.distance.value,
+      duration_seconds: Math.round(step.duration.value * trafficFactor),
+      coordinate: [step.start_location.lat, step.start_location.lng],
+      polyline_index_range: stepRanges[k] || null,
+      maneuver_type: maneuverType,
+      complex_maneuver: COMPLEX_MANEUVER_TYPES.has(maneuverType)
+    };
+  });
 }
 
-// Discover POIs near the calculated route
-async function discoverPOIsNearRoute(routePath: string, coordinates: number[][]): Promise<any[]> {
-  const apiKey = Deno.env.get('GOOGLE_PLACES_API_KEY') || Deno.env.get('GOOGLE_MAPS_API_KEY');
-  if (!apiKey) {
-    console.error('Google Places API key not found');
+// MapKit maneuver type for every Google Directions maneuver
+const GOOGLE_MANEUVER_TYPES: { [maneuver: string]: string } = {
+  'turn-left': 'turn_left',
+  'turn-right': 'turn_right',
+  'turn-sharp-left': 'turn_sharp_left',
+  'turn-sharp-right': 'turn_sharp_right',
+  'turn-slight-left': 'turn_slight_left',
+  'turn-slight-right': 'turn_slight_right',
+  'straight': 'continue_straight',
+  'uturn-left': 'u_turn',
+  'uturn-right': 'u_turn',
+  'merge': 'merge',
+  'fork-left': 'fork_left',
+  'fork-right': 'fork_right',
+  'keep-left': 'keep_left',
+  'keep-right': 'keep_right',
+  'ramp-left': 'ramp_left',
+  'ramp-right': 'ramp_right',
+  'roundabout-left': 'roundabout_left',
+  'roundabout-right': 'roundabout_right',
+  'ferry': 'ferry',
+  'ferry-train': 'ferry_train'
+};
+
+// Maneuvers that need the driver's full attention; clients hold stories back during them
+const COMPLEX_MANEUVER_TYPES = new Set([
+  'turn_sharp_left',
+  'turn_sharp_right',
+  'u_turn',
+  'merge',
+  'fork_left',
+  'fork_right',
+  'ramp_left',
+  'ramp_right',
+  'roundabout_left',
+  'roundabout_right',
+  'ferry',
+  'ferry_train'
+]);
+
+// Map Google maneuver types to MapKit compatible types. Google often reports highway entries
+// and exits as slight turns or keeps, so those are ramps when the instruction says so.
+function mapGoogleManeuverToMapKit(googleManeuver: string, instruction = ''): string {
+  const rampSide = googleManeuver?.match(/^(?:turn-slight|keep)-(left|right)$/)?.[1];
+  if (rampSide && /\b(?:ramp|exit)\b/i.test(instruction)) {
+    return `ramp_${rampSide}`;
+  }
+
+  return GOOGLE_MANEUVER_TYPES[googleManeuver] || 'continue_straight';
+}
+
+// Road a step follows, from the bold name after "onto", "on" or "follow" in html_instructions
+function extractRoadName(htmlInstructions: string): string | null {
+  const match = htmlInstructions.match(/\b(?:onto|on|follow)\s+(?:the\s+)?<b>([^<]+)<\/b>/);
+  return match ? match[1].trim() : null;
+}
+
+// Opening words of the spoken guidance for each maneuver type
+const SPOKEN_MANEUVER_PHRASES: { [maneuverType: string]: string } = {
+  depart: 'Start',
+  continue_straight: 'Continue',
+  turn_left: 'Turn left',
+  turn_right: 'Turn right',
+  turn_sharp_left: 'Turn sharp left',
+  turn_sharp_right: 'Turn sharp right',
+  turn_slight_left: 'Bear left',
+  turn_slight_right: 'Bear right',
+  u_turn: 'Make a U-turn',
+  merge: 'Merge',
+  fork_left: 'Keep left at the fork',
+  fork_right: 'Keep right at the fork',
+  keep_left: 'Keep left',
+  keep_right: 'Keep right',
+  ramp_left: 'Take the ramp on the left',
+  ramp_right: 'Take the ramp on the right',
+  roundabout_left: 'At the roundabout, exit',
+  roundabout_right: 'At the roundabout, exit',
+  ferry: 'Board the ferry',
+  ferry_train: 'Board the car train'
+};
+
+// Short voice guidance such as "Turn left onto University Ave" or
+// "At the roundabout, take the 2nd exit onto Main St"
+function buildSpokenInstruction(maneuverType: string, roadName: string | null, htmlInstructions: string): string {
+  if (maneuverType === 'ferry' || maneuverType === 'ferry_train') {
+    return SPOKEN_MANEUVER_PHRASES[maneuverType];
+  }
+
+  const isRoundabout = maneuverType.startsWith('roundabout_');
+  const exit = htmlInstructions.match(/take the <b>(\w+)<\/b> exit/)?.[1];
+  const phrase = isRoundabout && exit
+    ? `At the roundabout, take the ${exit} exit`
+    : SPOKEN_MANEUVER_PHRASES[maneuverType] || 'Continue';
+
+  if (!roadName) {
+    return isRoundabout && !exit ? 'Enter the roundabout' : phrase;
+  }
+  return `${phrase} ${maneuverType === 'depart' || maneuverType === 'continue_straight' ? 'on' : 'onto'} ${roadName}`;
+}
+
+// Places searches run for each interest. Nearby Search takes one type per request, so each
+// category lists a few type + keyword pairs rather than every matching type.
+const INTEREST_CATEGORIES: { [interest: string]: { searches: Array<{ type: string; keyword?: string }>; types: string[] } } = {
+  history: {
+    searches: [{ type: 'museum', keyword: 'history' }, { type: 'tourist_attraction', keyword: 'historic' }],
+    types: ['museum', 'church', 'cemetery', 'synagogue', 'hindu_temple', 'mosque']
+  },
+  technology: {
+    searches: [{ type: 'museum', keyword: 'science technology' }, { type: 'tourist_attraction', keyword: 'technology' }],
+    types: ['university']
+  },
+  architecture: {
+    searches: [{ type: 'tourist_attraction', keyword: 'architecture' }, { type: 'church' }],
+    types: ['church', 'city_hall', 'library', 'courthouse']
+  },
+  nature: {
+    searches: [{ type: 'park' }, { type: 'tourist_attraction', keyword: 'scenic viewpoint' }],
+    types: ['park', 'natural_feature', 'campground', 'zoo', 'aquarium']
+  },
+  food: {
+    searches: [{ type: 'restaurant', keyword: 'local' }, { type: 'bakery' }],
+    types: ['restaurant', 'bakery', 'cafe', 'food']
+  },
+  art: {
+    searches: [{ type: 'art_gallery' }, { type: 'museum', keyword: 'art' }],
+    types: ['art_gallery']
+  }
+};
+
+// General sightseeing search, always run so routes without interests still get stories
+const DEFAULT_POI_SEARCH = { type: 'tourist_attraction' };
+
+// Score points added to a POI that matches one of the user's interests
+const INTEREST_MATCH_BOOST = 15;
+
+// POI searches are sampled every POI_SAMPLE_SPACING_METERS along the route; shorter routes
+// space them closer so they still get MIN_POI_SAMPLES, but never closer than the minimum
+const POI_SAMPLE_SPACING_METERS = 10000;
+const MIN_POI_SAMPLE_SPACING_METERS = 2000;
+const MIN_POI_SAMPLES = 5;
+
+// Search radius as a share of sample spacing; above 0.5 neighbouring circles overlap
+// so the whole corridor is covered. Places Nearby Search allows up to 50 km.
+const POI_SEARCH_RADIUS_FACTOR = 0.6;
+const MAX_POI_SEARCH_RADIUS_METERS = 50000;
+
+// Places searches in flight at once per route, and the request rate shared by this instance
+const MAX_CONCURRENT_PLACES_SEARCHES = 4;
+const PLACES_REQUESTS_PER_SECOND = 10;
+const waitForPlacesQuota = createRateLimiter(PLACES_REQUESTS_PER_SECOND);
+
+// Sample points every spacingMeters along the route by cumulative distance, including the end
+function sampleRouteByDistance(
+  coordinates: number[][],
+  cumulativeDistances: number[],
+  spacingMeters: number
+): number[][] {
+  const totalDistance = cumulativeDistances[cumulativeDistances.length - 1] || 0;
+  if (coordinates.length === 0) return [];
+  if (totalDistance === 0) return [coordinates[0]];
+
+  const samples: number[][] = [];
+  let segment = 0;
+  for (let target = 0; target < totalDistance; target += spacingMeters) {
+    while (segment < coordinates.length - 2 && cumulativeDistances[segment + 1] < target) {
+      segment++;
+    }
+    const segmentLength = cumulativeDistances[segment + 1] - cumulativeDistances[segment];
+    const t = segmentLength > 0 ? (target - cumulativeDistances[segment]) / segmentLength : 0;
+    samples.push([
+      coordinates[segment][0] + t * (coordinates[segment + 1][0] - coordinates[segment][0]),
+      coordinates[segment][1] + t * (coordinates[segment + 1][1] - coordinates[segment][1])
+    ]);
+  }
+  samples.push(coordinates[coordinates.length - 1]);
+  return samples;
+}
+
+// Spacing between POI search samples for a route of the given length
+function calculatePOISampleSpacing(totalDistanceMeters: number): number {
+  return Math.max(
+    MIN_POI_SAMPLE_SPACING_METERS,
+    Math.min(POI_SAMPLE_SPACING_METERS, totalDistanceMeters / (MIN_POI_SAMPLES - 1))
+  );
+}
+
+// Pick up to `limit` candidates spread along the route: POIs are bucketed by route fraction
+// and buckets take turns giving up their best-scored POI, so long drives have no empty stretches
+function selectSpreadCandidatePOIs(pois: any[], bucketCount: number, limit: number): any[] {
+  const buckets: any[][] = Array.from({ length: Math.max(1, bucketCount) }, () => []);
+  for (const poi of [...pois].sort((a, b) => b.popularity_score - a.popularity_score)) {
+    const fraction = poi.metadata?.route_fraction || 0;
+    buckets[Math.min(buckets.length - 1, Math.floor(fraction * buckets.length))].push(poi);
+  }
+
+  const selected: any[] = [];
+  while (selected.length < limit && buckets.some(bucket => bucket.length > 0)) {
+    for (const bucket of buckets) {
+      if (bucket.length > 0 && selected.length < limit) {
+        selected.push(bucket.shift());
+      }
+    }
+  }
+  return selected.sort((a, b) => b.popularity_score - a.popularity_score);
+}
+
+// Stored POIs updated within this many days are reused instead of searching Places again
+const POI_FRESHNESS_DAYS = 30;
+
+// A sample point with this many fresh stored POIs for a search skips that Places call
+const MIN_STORED_POIS_PER_SEARCH = 3;
+
+// The corridor line sent to find_pois_near_route is simplified to keep the RPC payload small
+const CORRIDOR_SIMPLIFY_TOLERANCE_METERS = 50;
+
+// Load stored POIs within radiusMeters of the route
+async function findStoredPOIsNearRoute(supabase: any, coordinates: number[][], radiusMeters: number): Promise<any[]> {
+  if (coordinates.length < 2) {
+    return [];
+  }
+
+  const corridor = simplifyRouteIndexes(coordinates, CORRIDOR_SIMPLIFY_TOLERANCE_METERS).map(i => coordinates[i]);
+  const { data, error } = await supabase.rpc('find_pois_near_route', {
+    route_path: `LINESTRING(${corridor.map(([lat, lng]) => `${lng} ${lat}`).join(',')})`, // PostGIS format: lng lat
+    max_distance_meters: Math.round(radiusMeters)
+  });
+
+  if (error) {
+    console.error('Stored POI lookup error:', error);
     return [];
   }
+  return (data || []).map((row: any) => row.poi_data).filter((poi: any) => poi.google_place_id);
+}
+
+// Whether a stored POI was refreshed from Places recently enough to trust
+function isStoredPOIFresh(stored: any): boolean {
+  const updatedAt = Date.parse(stored.last_updated);
+  return !isNaN(updatedAt) && Date.now() - updatedAt < POI_FRESHNESS_DAYS * 24 * 60 * 60 * 1000;
+}
+
+// Fresh stored POIs within radiusMeters of a sample point that a search would have found
+function countStoredPOIsForSearch(
+  storedPOIs: any[],
+  location: number[],
+  radiusMeters: number,
+  interest: string | null
+): number {
+  return storedPOIs.filter(stored =>
+    calculateDistanceMeters(location, [stored.latitude, stored.longitude]) <= radiusMeters &&
+    (!interest || matchPOIInterests(
+      storedPOIToPlace(stored).types || [],
+      new Set(stored.metadata?.matched_interests || []),
+      [interest]
+    ).length > 0)
+  ).length;
+}
+
+// Rebuild a Places result from a stored POI so both sources are scored the same way
+function storedPOIToPlace(stored: any): any {
+  const place = stored.metadata?.google_data;
+  return {
+    ...place,
+    place_id: stored.google_place_id,
+    name: stored.name,
+    geometry: { location: { lat: stored.latitude, lng: stored.longitude } },
+    types: place?.types || [stored.poi_type],
+    rating: place?.rating ?? Number(stored.google_rating || 0),
+    user_ratings_total: place?.user_ratings_total ?? stored.review_count ?? 0
+  };
+}
 
-  const discoveredPOIs: any[] = [];
-  const searchRadius = 5000; // 5km radius
+// Upsert Places results into the pois table with a fresh last_updated
+async function storePlacesResults(supabase: any, places: any[]): Promise<void> {
+  if (places.length === 0) {
+    return;
+  }
+
+  const { error } = await supabase.rpc('upsert_pois', {
+    poi_records: places.map(place => ({
+      google_place_id: place.place_id,
+      name: place.name,
+      location: `POINT(${place.geometry.location.lng} ${place.geometry.location.lat})`, // PostGIS format: lng lat
+      poi_type: place.types?.[0] || 'tourist_attraction',
+      google_rating: place.rating || 0,
+      review_count: place.user_ratings_total || 0,
+      metadata: { google_data: place }
+    })),
+    places_refreshed: true
+  });
+
+  if (error) {
+    console.error('POI write-back error:', error);
+  }
+}
+
+// Discover POIs near the calculated route for the user's interests
+async function discoverPOIsNearRoute(
+  maps: MapsProvider,
+  supabase: any,
+  routePath: string,
+  coordinates: number[][],
+  interests: string[] = []
+): Promise<any[]> {
+  const cumulativeDistances = calculateCumulativeDistances(coordinates);
+  const totalDistance = cumulativeDistances[cumulativeDistances.length - 1] || 0;
+  const sampleSpacing = calculatePOISampleSpacing(totalDistance);
+  const searchRadius = Math.round(Math.min(MAX_POI_SEARCH_RADIUS_METERS, sampleSpacing * POI_SEARCH_RADIUS_FACTOR));
   const maxPOIsPerSearch = 10;
 
-  // Search along the route at intervals
-  const searchInterval = Math.max(1, Math.floor(coordinates.length / 5)); // Search at 5 points along route
-  
-  for (let i = 0; i < coordinates.length; i += searchInterval) {
-    const [lat, lng] = coordinates[i];
-    
+  // Unknown interests are ignored; every route also gets the general sightseeing search
+  const knownInterests = interests.filter(interest => INTEREST_CATEGORIES[interest]);
+  const searches: Array<{ type: string; keyword?: string; interest: string | null }> = [
+    { ...DEFAULT_POI_SEARCH, interest: null },
+    ...knownInterests.flatMap(interest =>
+      INTEREST_CATEGORIES[interest].searches.map(search => ({ ...search, interest }))
+    )
+  ];
+
+  // Places found by any search, keyed by place ID with the interests they matched
+  const discoveredPlaces = new Map<string, { place: any; interests: Set<string>; source: string }>();
+
+  // Start from POIs already stored along the corridor
+  const storedPOIs = await findStoredPOIsNearRoute(supabase, coordinates, searchRadius);
+  for (const stored of storedPOIs) {
+    discoveredPlaces.set(stored.google_place_id, {
+      place: storedPOIToPlace(stored),
+      interests: new Set(stored.metadata?.matched_interests || []),
+      source: 'stored'
+    });
+  }
+  const freshStoredPOIs = storedPOIs.filter(isStoredPOIFresh);
+
+  // Search Places only where fresh stored POIs are too sparse for a category
+  const samples = sampleRouteByDistance(coordinates, cumulativeDistances, sampleSpacing);
+  const tasks = samples
+    .flatMap(location => searches.map(search => ({ location, search })))
+    .filter(({ location, search }) =>
+      countStoredPOIsForSearch(freshStoredPOIs, location, searchRadius, search.interest) < MIN_STORED_POIS_PER_SEARCH
+    );
+
+  const results = await mapWithConcurrency(tasks, MAX_CONCURRENT_PLACES_SEARCHES, async ({ location, search }) => {
     try {
-      // Search for tourist attractions, museums, landmarks
-      const placesUrl = `https://maps.googleapis.com/maps/api/place/nearbysearch/json?` +
-        `location=${lat},${lng}&` +
-        `radius=${searchRadius}&` +
-        `type=tourist_attraction&` +
-        `key=${apiKey}`;
-
-      const response = await fetch(placesUrl);
-      const data = await response.json();
-
-      if (data.results && data.results.length > 0) {
-        // Process and score POIs
-        for (const place of data.results.slice(0, maxPOIsPerSearch)) {
-          const poi = {
-            google_place_id: place.place_id,
-            name: place.name,
-            location: [place.geometry.location.lat, place.geometry.location.lng],
-            poi_type: place.types?.[0] || 'tourist_attraction',
-            google_rating: place.rating || 0,
-            review_count: place.user_ratings_total || 0,
-            popularity_score: calculatePOIScore(
-              place.rating || 0,
-              place.user_ratings_total || 0,
-              place.types?.[0] || 'unknown',
-              0 // Distance will be calculated later
-            ),
-            metadata: {
-              google_data: place,
-              route_coordinate_index: i
-            }
-          };
-          
-          // Check if POI is not already discovered
-          const existing = discoveredPOIs.find(p => p.google_place_id === poi.google_place_id);
-          if (!existing) {
-            discoveredPOIs.push(poi);
-          }
-        }
-      }
-      
-      // Add small delay to respect API rate limits
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
+      await waitForPlacesQuota();
+      return await maps.nearbyPlaces(location, searchRadius, search.type, search.keyword);
     } catch (error) {
-      console.error(`POI search error at ${lat},${lng}:`, error);
+      console.error(`POI search error at ${location[0]},${location[1]} (${search.type}):`, error);
+      return [];
     }
-  }
+  });
+
+  // Merge results in task order so discovery does not depend on which search finished first.
+  // Places results replace stored data for the same place, keeping the interests it matched.
+  const freshPlaces = new Map<string, any>();
+  results.forEach((places, i) => {
+    const { search } = tasks[i];
+    for (const place of places.slice(0, maxPOIsPerSearch)) {
+      const discovered = discoveredPlaces.get(place.place_id);
+      const interests = discovered?.interests || new Set<string>();
+      if (search.interest) {
+        interests.add(search.interest);
+      }
+      discoveredPlaces.set(place.place_id, { place, interests, source: 'places' });
+      freshPlaces.set(place.place_id, place);
+    }
+  });
+
+  // Write fresh results back so the next route along this corridor can reuse them
+  await storePlacesResults(supabase, [...freshPlaces.values()]);
+
+  // Process and score POIs. Permanently closed places get no new stories (the database
+  // invalidates the existing ones).
+  const openPlaces = [...discoveredPlaces.values()].filter(({ place }) => place.business_status !== 'CLOSED_PERMANENTLY');
+  const discoveredPOIs = openPlaces.map(({ place, interests: searchInterests, source }) => {
+    const location = [place.geometry.location.lat, place.geometry.location.lng];
+    const projection = projectOntoRoute(coordinates, cumulativeDistances, location);
+    const matchedInterests = matchPOIInterests(place.types || [], searchInterests, knownInterests);
+
+    return {
+      google_place_id: place.place_id,
+      name: place.name,
+      location: location,
+      poi_type: place.types?.[0] || 'tourist_attraction',
+      google_rating: place.rating || 0,
+      review_count: place.user_ratings_total || 0,
+      popularity_score: Math.min(100, calculatePOIScore(
+        place.rating || 0,
+        place.user_ratings_total || 0,
+        place.types?.[0] || 'unknown',
+        projection.distance_from_route_meters
+      ) + (matchedInterests.length > 0 ? INTEREST_MATCH_BOOST : 0)),
+      metadata: {
+        google_data: place,
+        route_coordinate_index: projection.route_coordinate_index,
+        route_fraction: projection.route_fraction,
+        distance_from_route_meters: Math.round(projection.distance_from_route_meters),
+        matched_interests: matchedInterests,
+        interest_category: matchedInterests[0] || null,
+        source: source
+      }
+    };
+  });
 
-  // Sort POIs by popularity score and return top candidates
-  return discoveredPOIs
-    .sort((a, b) => b.popularity_score - a.popularity_score)
-    .slice(0, 8); // Max 8 POIs per route
+  // Return the top candidates for detour pricing, spread along the route
+  return selectSpreadCandidatePOIs(discoveredPOIs, samples.length - 1, MAX_CANDIDATE_POIS);
+}
+
+// Interests a place matches, in the user's order: found by that interest's search
+// or carrying one of its Places types
+function matchPOIInterests(placeTypes: string[], searchInterests: Set<string>, interests: string[]): string[] {
+  return interests.filter(interest =>
+    searchInterests.has(interest) ||
+    INTEREST_CATEGORIES[interest].types.some(type => placeTypes.includes(type))
+  );
 }
 
 // Calculate POI score based on multiple factors
@@ -534,37 +2120,135 @@ function calculatePOIScore(
   return Math.round(finalScore * 100); // Return score out of 100
 }
 
-// Generate stories for discovered POIs
-async function generateStoriesForPOIs(routeId: string, poisData: any[], supabase: any): Promise<any[]> {
+// Project a point onto the route and interpolate the travel time to reach the projected point
+function locateOnRouteTimeline(routeData: any, cumulativeDistances: number[], location: number[]): any {
+  const projection = projectOntoRoute(routeData.coordinates, cumulativeDistances, location);
+  const times = routeData.coordinate_times || [];
+  const segmentStartTime = times[projection.segment_index] || 0;
+  const segmentEndTime = times[projection.segment_index + 1] ?? segmentStartTime;
+
+  return {
+    ...projection,
+    travel_time_seconds: segmentStartTime + projection.segment_t * (segmentEndTime - segmentStartTime)
+  };
+}
+
+// Trigger radius covers this many seconds of driving at the expected speed,
+// so GPS updates cannot skip over it on a highway yet it stays tight in town
+const TRIGGER_RADIUS_SECONDS = 10;
+const MIN_TRIGGER_RADIUS_METERS = 100;
+const MAX_TRIGGER_RADIUS_METERS = 500;
+
+// Place a story's trigger on the route leadSeconds of driving before its POI.
+// Returns the point, its travel time from the start and the expected speed there.
+function placeTriggerPoint(
+  routeData: any,
+  cumulativeDistances: number[],
+  poiTravelSeconds: number,
+  leadSeconds: number
+): { coordinate: number[]; route_coordinate_index: number; travel_time_seconds: number; speed_mps: number } {
+  const coordinates = routeData.coordinates;
+  const times: number[] = routeData.coordinate_times || [];
+  const targetTime = Math.max(0, poiTravelSeconds - leadSeconds);
+  const lastIndex = coordinates.length - 1;
+
+  // Last coordinate reached by targetTime
+  let low = 0;
+  let high = Math.max(0, Math.min(lastIndex, times.length - 1));
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (times[mid] <= targetTime) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  const next = Math.min(low + 1, lastIndex);
+  const segmentTime = (times[next] ?? 0) - (times[low] ?? 0);
+  const segmentDistance = cumulativeDistances[next] - cumulativeDistances[low];
+  const t = segmentTime > 0 ? Math.min(1, (targetTime - times[low]) / segmentTime) : 0;
+
+  // Use the whole route's average speed where the segment has no timing of its own
+  const routeTime = times[times.length - 1] || 0;
+  const speed = segmentTime > 0
+    ? segmentDistance / segmentTime
+    : routeTime > 0 ? cumulativeDistances[cumulativeDistances.length - 1] / routeTime : 0;
+
+  return {
+    coordinate: [
+      coordinates[low][0] + t * (coordinates[next][0] - coordinates[low][0]),
+      coordinates[low][1] + t * (coordinates[next][1] - coordinates[low][1])
+    ],
+    route_coordinate_index: t < 0.5 ? low : next,
+    travel_time_seconds: times.length ? times[low] + t * segmentTime : 0,
+    speed_mps: speed
+  };
+}
+
+// Trigger radius in meters for the expected speed at the trigger point
+function calculateTriggerRadius(speedMps: number): number {
+  return Math.round(Math.min(
+    MAX_TRIGGER_RADIUS_METERS,
+    Math.max(MIN_TRIGGER_RADIUS_METERS, speedMps * TRIGGER_RADIUS_SECONDS)
+  ));
+}
+
+// Story length assumed before content exists (prompts ask for 60-90 seconds)
+const DEFAULT_STORY_DURATION_SECONDS = 90;
+
+// Generate stories for the POIs of a calculated route, then schedule their playback.
+// Trigger times come from that route's own step timeline, so each alternative gets its own.
+async function generateStoriesForPOIs(
+  routeId: string,
+  routeData: any,
+  preferences: any,
+  supabase: any
+): Promise<{ stories: any[]; playbackPlan: any }> {
   const stories: any[] = [];
+  const drivingSpeed = preferences.driving_speed || DEFAULT_ROUTE_PREFERENCES.driving_speed;
+  const speedFactor = DRIVING_SPEED_TIME_FACTORS[drivingSpeed] || 1.0;
   
-  if (poisData.length === 0) {
-    return stories;
+  if (routeData.pois.length === 0) {
+    return { stories, playbackPlan: scheduleStoryPlayback([]) };
   }
 
-  // For each POI, create a story record and trigger async content generation
-  for (let i = 0; i < poisData.length; i++) {
-    const poi = poisData[i];
-    const storyId = crypto.randomUUID();
-    
+  // Project every POI onto the chosen route and tell the stories in driving order
+  const cumulativeDistances = calculateCumulativeDistances(routeData.coordinates);
+  const poisData = routeData.pois
+    .map((poi: any) => ({ poi, routePosition: locateOnRouteTimeline(routeData, cumulativeDistances, poi.location) }))
+    .sort((a: any, b: any) => a.routePosition.route_fraction - b.routePosition.route_fraction);
+
+  // For each POI, store the POI and draft a story record with placeholder content
+  const drafts: any[] = [];
+  for (const { poi, routePosition } of poisData) {
+    // Directions times are for normal driving; a story lasts longer in route time when driving fast
+    const trigger = placeTriggerPoint(
+      routeData,
+      cumulativeDistances,
+      routePosition.travel_time_seconds,
+      DEFAULT_STORY_DURATION_SECONDS / speedFactor
+    );
+    const triggerSpeed = trigger.speed_mps / speedFactor;
+
     try {
-      // Store POI in database first
+      // Store POI in database first. Only route-independent data goes into the shared row;
+      // the route-relative score stays on the story.
       const { data: poiRecord, error: poiError } = await supabase
-        .from('pois')
-        .upsert({
-          google_place_id: poi.google_place_id,
-          name: poi.name,
-          location: `POINT(${poi.location[1]} ${poi.location[0]})`, // PostGIS format: lng lat
-          poi_type: poi.poi_type,
-          google_rating: poi.google_rating,
-          review_count: poi.review_count,
-          popularity_score: poi.popularity_score,
-          metadata: poi.metadata
-        }, { 
-          onConflict: 'google_place_id',
-          ignoreDuplicates: false 
+        .rpc('upsert_pois', {
+          poi_records: [{
+            google_place_id: poi.google_place_id,
+            name: poi.name,
+            location: `POINT(${poi.location[1]} ${poi.location[0]})`, // PostGIS format: lng lat
+            poi_type: poi.poi_type,
+            google_rating: poi.google_rating,
+            review_count: poi.review_count,
+            metadata: {
+              google_data: poi.metadata.google_data,
+              matched_interests: poi.metadata.matched_interests
+            }
+          }]
         })
-        .select()
         .single();
 
       if (poiError) {
@@ -572,52 +2256,84 @@ async function generateStoriesForPOIs(routeId: string, poisData: any[], supabase
         continue;
       }
 
-      // Create story record with placeholder content
-      const storyData = {
-        id: storyId,
-        poi_id: poiRecord.id,
-        route_id: routeId,
-        title: `Story about ${poi.name}`,
-        content: 'Content generation in progress...',
-        trigger_location: `POINT(${poi.location[1]} ${poi.location[0]})`,
-        trigger_radius_meters: 200,
-        category: poi.poi_type,
-        priority: Math.min(10, Math.max(1, Math.floor(poi.popularity_score / 10))),
-        route_coordinate_index: poi.metadata?.route_coordinate_index || 0,
-        estimated_trigger_time: (poi.metadata?.route_coordinate_index || 0) * 30 // Rough estimate
-      };
-
-      const { error: storyError } = await supabase
-        .from('stories')
-        .insert(storyData);
-
-      if (storyError) {
-        console.error('Story insert error:', storyError);
-        continue;
-      }
-
-      // Add to response (content will be generated asynchronously)
-      stories.push({
-        id: storyId,
-        title: storyData.title,
-        trigger_location: {
-          latitude: poi.location[0],
-          longitude: poi.location[1]
-        },
-        trigger_radius_meters: storyData.trigger_radius_meters,
-        category: storyData.category,
-        priority: storyData.priority,
-        route_coordinate_index: storyData.route_coordinate_index,
-        estimated_trigger_time: storyData.estimated_trigger_time
+      drafts.push({
+        poi,
+        poiRecord,
+        trigger,
+        storyData: {
+          id: crypto.randomUUID(),
+          poi_id: poiRecord.id,
+          route_id: routeId,
+          title: `Story about ${poi.name}`,
+          content: 'Content generation in progress...',
+          trigger_location: `POINT(${trigger.coordinate[1]} ${trigger.coordinate[0]})`,
+          trigger_radius_meters: calculateTriggerRadius(triggerSpeed),
+          category: poi.metadata?.interest_category || poi.poi_type,
+          priority: Math.min(10, Math.max(1, Math.floor(poi.popularity_score / 10))),
+          route_coordinate_index: routePosition.route_coordinate_index,
+          route_fraction: routePosition.route_fraction,
+          distance_from_route_meters: Math.round(routePosition.distance_from_route_meters),
+          estimated_trigger_time: Math.round(trigger.travel_time_seconds * speedFactor),
+          duration_seconds: DEFAULT_STORY_DURATION_SECONDS,
+          generation_metadata: {
+            driving_speed: drivingSpeed, // Selects the audio speed variant
+            poi_score: poi.popularity_score // Route-relative score behind the priority
+          }
+        }
       });
-
-      // TODO: Trigger async content generation function
-      // This would call the generate-content Edge Function to create the actual story content
-      
     } catch (error) {
       console.error(`Error creating story for POI ${poi.name}:`, error);
     }
   }
+
+  // Store the stories and fit the stored ones into a playback timeline without overlapping audio
+  const { stories: scheduledStories, playbackPlan } = await storeScheduledStories(
+    supabase,
+    drafts.map(({ storyData }) => storyData)
+  );
+
+  const contentJobs: GenerationJob[] = [];
+  for (const storyData of scheduledStories) {
+    const { poi, poiRecord, trigger } = drafts.find(draft => draft.storyData.id === storyData.id);
+
+    // Add to response (content will be generated asynchronously)
+    stories.push({
+      id: storyData.id,
+      title: storyData.title,
+      trigger_location: {
+        latitude: trigger.coordinate[0],
+        longitude: trigger.coordinate[1]
+      },
+      poi_location: {
+        latitude: poi.location[0],
+        longitude: poi.location[1]
+      },
+      trigger_radius_meters: storyData.trigger_radius_meters,
+      duration_seconds: storyData.duration_seconds,
+      category: storyData.category,
+      priority: storyData.priority,
+      route_coordinate_index: storyData.route_coordinate_index,
+      route_fraction: storyData.route_fraction,
+      distance_from_route_meters: storyData.distance_from_route_meters,
+      estimated_trigger_time: storyData.estimated_trigger_time,
+      playback_start_seconds: storyData.generation_metadata.playback.start_seconds,
+      leg_index: poi.metadata?.leg_index || 0
+    });
+
+    // Content is written by generate-content through the job queue
+    contentJobs.push(buildContentJob(storyData, poiRecord, {
+      route_id: routeId,
+      interests: preferences.interests || [],
+      driving_speed: drivingSpeed
+    }));
+  }
+
+  const enqueueError = await enqueueJobs(supabase, contentJobs);
+  if (enqueueError) {
+    console.error('Content job enqueue error:', enqueueError);
+  } else if (contentJobs.length > 0) {
+    await wakeJobWorker();
+  }
   
-  return stories;
+  return { stories, playbackPlan };
 }
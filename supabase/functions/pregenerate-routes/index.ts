@@ -0,0 +1,283 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+
+// Scheduled pre-generation of popular corridors. Run daily during off-peak hours: refreshes
+// popular_routes, then regenerates the requested routes of pinned corridors and popular
+// routes whose cached route would expire before the evening peak, within a daily budget of
+// generated routes.
+
+interface PregenerationSummary {
+  skipped_reason?: string;
+  daily_budget: number;
+  budget_used: number;
+  candidates: number;
+  fresh: number;
+  in_flight: number;
+  generated: Array<{ name: string; cache_key: string; route_id: string }>;
+  failed: Array<{ name: string; cache_key: string; error: string }>;
+}
+
+// Routes generated per rolling 24 hours when PREGENERATION_DAILY_BUDGET is not set
+const DEFAULT_DAILY_BUDGET = 50;
+
+// Popular corridors considered per run, and the requests a corridor needs to count as popular
+const MAX_POPULAR_CORRIDORS = 100;
+const MIN_POPULAR_REQUESTS = 3;
+
+// Requests a cache key inside a pinned corridor needs before it is kept warm
+const MIN_CORRIDOR_REQUESTS = 1;
+
+// A cached route must outlive the run by this long to cover the morning and evening peaks
+const CACHE_COVERAGE_HOURS = 18;
+
+// A processing route younger than this is still being generated, so it is left alone
+const IN_FLIGHT_WINDOW_MINUTES = 60;
+
+// Local hours [from, to) considered off-peak, in PREGENERATION_TIMEZONE
+const DEFAULT_TIMEZONE = 'America/Los_Angeles';
+const OFF_PEAK_HOURS = [1, 5];
+
+Deno.serve(async (req: Request) => {
+  try {
+    if (req.method !== 'POST') {
+      return new Response('Method Not Allowed', { status: 405 });
+    }
+
+    // { "force": true } runs outside off-peak hours, e.g. right after a deploy
+    const options = await req.json().catch(() => ({}));
+
+    // Initialize Supabase client
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
+    const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+    const supabase = createClient(supabaseUrl, supabaseKey);
+
+    const dailyBudget = parseDailyBudget(Deno.env.get('PREGENERATION_DAILY_BUDGET'));
+    const budgetUsed = await countPregeneratedRoutes(supabase);
+    const summary: PregenerationSummary = {
+      daily_budget: dailyBudget,
+      budget_used: budgetUsed,
+      candidates: 0,
+      fresh: 0,
+      in_flight: 0,
+      generated: [],
+      failed: []
+    };
+
+    const timezone = Deno.env.get('PREGENERATION_TIMEZONE') || DEFAULT_TIMEZONE;
+    if (!options.force && !isOffPeakHour(new Date(), timezone)) {
+      summary.skipped_reason = 'outside_off_peak_hours';
+    } else if (budgetUsed >= dailyBudget) {
+      summary.skipped_reason = 'daily_budget_spent';
+    }
+
+    if (summary.skipped_reason) {
+      return new Response(JSON.stringify(summary), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const { error: refreshError } = await supabase.rpc('refresh_popular_routes');
+    if (refreshError) {
+      // A stale view still names yesterday's popular corridors
+      console.error('Popular routes refresh error:', refreshError);
+    }
+
+    const candidates = await loadCandidateCorridors(supabase);
+    const cachedRoutes = await loadCachedRoutes(supabase, candidates.map(candidate => candidate.cache_key));
+    summary.candidates = candidates.length;
+
+    const now = new Date();
+    for (const candidate of candidates) {
+      const cacheState = classifyCorridorCache(cachedRoutes.get(candidate.cache_key) || [], now);
+      if (cacheState === 'fresh') {
+        summary.fresh++;
+        continue;
+      }
+      if (cacheState === 'in_flight') {
+        summary.in_flight++;
+        continue;
+      }
+      if (summary.budget_used >= dailyBudget) {
+        break;
+      }
+
+      const result = await pregenerateCorridor(candidate, now);
+      if (result.success) {
+        summary.generated.push({ name: candidate.name, cache_key: candidate.cache_key, route_id: result.route_id! });
+        if (result.counted) {
+          summary.budget_used++;
+        }
+      } else {
+        console.error(`Corridor pre-generation error (${candidate.name}):`, result.error);
+        summary.failed.push({ name: candidate.name, cache_key: candidate.cache_key, error: result.error! });
+      }
+    }
+
+    return new Response(JSON.stringify(summary), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    console.error('Route pre-generation error:', error);
+    return new Response(JSON.stringify({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred during route pre-generation'
+      }
+    }), { 
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+});
+
+// Daily budget from the environment; invalid values fall back to the default
+function parseDailyBudget(value: string | undefined): number {
+  const budget = Number(value);
+  return value && Number.isInteger(budget) && budget >= 0 ? budget : DEFAULT_DAILY_BUDGET;
+}
+
+// Whether the local hour in the timezone falls in the off-peak window
+function isOffPeakHour(date: Date, timezone: string): boolean {
+  const hour = Number(new Intl.DateTimeFormat('en-US', { timeZone: timezone, hour: 'numeric', hourCycle: 'h23' }).format(date));
+  return hour >= OFF_PEAK_HOURS[0] && hour < OFF_PEAK_HOURS[1];
+}
+
+// Pre-generated routes created in the last 24 hours
+async function countPregeneratedRoutes(supabase: any): Promise<number> {
+  const { count, error } = await supabase
+    .from('routes')
+    .select('id', { count: 'exact', head: true })
+    .eq('generation_source', 'pregeneration')
+    .eq('variant_rank', 1)
+    .gt('created_at', new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString());
+
+  if (error) {
+    console.error('Pre-generation budget count error:', error);
+  }
+  return count || 0;
+}
+
+// Commuter cache keys of the pinned corridors first, then popular ones by request count,
+// once per cache key
+async function loadCandidateCorridors(supabase: any): Promise<any[]> {
+  const candidates: any[] = [];
+  const seenKeys = new Set<string>();
+  const addCandidate = (candidate: any) => {
+    if (candidate.cache_key && !seenKeys.has(candidate.cache_key)) {
+      seenKeys.add(candidate.cache_key);
+      candidates.push(candidate);
+    }
+  };
+
+  const { data: corridorRoutes, error: corridorsError } = await supabase.rpc('get_corridor_routes', {
+    min_requests: MIN_CORRIDOR_REQUESTS
+  });
+
+  if (corridorsError) {
+    console.error('Pinned corridors fetch error:', corridorsError);
+  }
+
+  for (const route of corridorRoutes || []) {
+    addCandidate({
+      name: `${route.corridor_name} (${route.request_count} requests)`,
+      cache_key: route.cache_key,
+      request_payload: route.request_payload
+    });
+  }
+
+  const { data: popular, error: popularError } = await supabase.rpc('get_popular_routes', {
+    max_routes: MAX_POPULAR_CORRIDORS,
+    min_requests: MIN_POPULAR_REQUESTS
+  });
+
+  if (popularError) {
+    console.error('Popular routes fetch error:', popularError);
+  }
+
+  for (const route of popular || []) {
+    addCandidate({
+      name: `popular (${route.request_count} requests)`,
+      cache_key: route.cache_key,
+      request_payload: route.request_payload
+    });
+  }
+
+  return candidates;
+}
+
+// Completed and processing main routes for each cache key
+async function loadCachedRoutes(supabase: any, cacheKeys: string[]): Promise<Map<string, any[]>> {
+  const routesByKey = new Map<string, any[]>();
+  if (cacheKeys.length === 0) return routesByKey;
+
+  const { data: routes, error } = await supabase
+    .from('routes')
+    .select('cache_key, status, cache_expires_at, departure_time, created_at')
+    .in('cache_key', cacheKeys)
+    .eq('variant_rank', 1)
+    .in('status', ['completed', 'processing']);
+
+  if (error) {
+    console.error('Cached routes fetch error:', error);
+  }
+
+  for (const route of routes || []) {
+    routesByKey.set(route.cache_key, [...(routesByKey.get(route.cache_key) || []), route]);
+  }
+  return routesByKey;
+}
+
+// 'fresh' when a completed route stays cached through the coverage window, or is a traffic
+// route for a peak still ahead, 'in_flight' when a recent generation is still processing,
+// otherwise 'stale'
+function classifyCorridorCache(routes: any[], now: Date): 'fresh' | 'in_flight' | 'stale' {
+  const coveredUntil = now.getTime() + CACHE_COVERAGE_HOURS * 60 * 60 * 1000;
+  const inFlightSince = now.getTime() - IN_FLIGHT_WINDOW_MINUTES * 60 * 1000;
+
+  if (routes.some(route => route.status === 'completed' && route.cache_expires_at && (
+    new Date(route.cache_expires_at).getTime() > coveredUntil ||
+    (route.departure_time && new Date(route.departure_time).getTime() > now.getTime())
+  ))) {
+    return 'fresh';
+  }
+  if (routes.some(route => route.status === 'processing' && new Date(route.created_at).getTime() > inFlightSince)) {
+    return 'in_flight';
+  }
+  return 'stale';
+}
+
+// Replay a corridor's request through generate-route in async mode. The Idempotency-Key is per
+// corridor and day, so a repeated run never pays twice; replays and coalesced requests are free.
+async function pregenerateCorridor(
+  candidate: any,
+  now: Date
+): Promise<{ success: boolean; route_id?: string; counted?: boolean; error?: string }> {
+  try {
+    const response = await fetch(`${Deno.env.get('SUPABASE_URL')}/functions/v1/generate-route`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')}`,
+        'Idempotency-Key': `pregeneration:${candidate.cache_key}:${now.toISOString().slice(0, 10)}`,
+        'X-Generation-Source': 'pregeneration'
+      },
+      body: JSON.stringify({ ...candidate.request_payload, async: true })
+    });
+
+    if (!response.ok) {
+      return { success: false, error: `generate-route returned ${response.status}: ${await response.text()}` };
+    }
+
+    const result = await response.json();
+    return {
+      success: true,
+      route_id: result.route_id,
+      counted: !result.coalesced && !response.headers.get('Idempotent-Replayed')
+    };
+  } catch (error) {
+    return { success: false, error: String(error) };
+  }
+}
@@ -0,0 +1,155 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { mapWithConcurrency } from '../_shared/concurrency.ts';
+import { JOB_STAGE_FUNCTIONS } from '../_shared/jobs.ts';
+
+// Worker for the generation_jobs queue. Runs on a schedule and whenever a stage enqueues work:
+// claims a batch, answers with what it claimed, then runs the jobs in the background.
+
+interface JobRunSummary {
+  claimed: number;
+  job_ids: string[];
+}
+
+// Jobs claimed per run, and how many run at once
+const JOB_BATCH_SIZE = 5;
+const JOB_CONCURRENCY = 5;
+
+// A claimed job stays hidden this long; Gemini plus TTS fits well inside it
+const JOB_VISIBILITY_TIMEOUT_SECONDS = 120;
+
+// Retry delays double from the base delay up to the cap: 30 s, 1 min, 2 min, 4 min...
+const RETRY_BASE_DELAY_SECONDS = 30;
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+
+Deno.serve(async (req: Request) => {
+  try {
+    if (req.method !== 'POST') {
+      return new Response('Method Not Allowed', { status: 405 });
+    }
+
+    // Initialize Supabase client
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
+    const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+    const supabase = createClient(supabaseUrl, supabaseKey);
+
+    const { data: jobs, error: claimError } = await supabase.rpc('claim_generation_jobs', {
+      batch_size: JOB_BATCH_SIZE,
+      visibility_timeout_seconds: JOB_VISIBILITY_TIMEOUT_SECONDS
+    });
+
+    if (claimError) {
+      console.error('Job claim error:', claimError);
+      return new Response(JSON.stringify({
+        error: {
+          code: 'DATABASE_ERROR',
+          message: 'Failed to claim generation jobs'
+        }
+      }), { 
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const claimed = jobs || [];
+    if (claimed.length > 0) {
+      EdgeRuntime.waitUntil(mapWithConcurrency(claimed, JOB_CONCURRENCY, (job: any) => runJob(supabase, job)));
+    }
+
+    const response: JobRunSummary = {
+      claimed: claimed.length,
+      job_ids: claimed.map((job: any) => job.id)
+    };
+
+    return new Response(JSON.stringify(response), {
+      status: claimed.length > 0 ? 202 : 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    console.error('Job worker error:', error);
+    return new Response(JSON.stringify({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred while processing jobs'
+      }
+    }), { 
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+});
+
+// Run one claimed job through its stage's Edge Function and record the outcome
+async function runJob(supabase: any, job: any): Promise<void> {
+  let result: { success: boolean; error?: string; retryable?: boolean };
+
+  try {
+    const functionName = JOB_STAGE_FUNCTIONS[job.stage as keyof typeof JOB_STAGE_FUNCTIONS];
+    if (!functionName) {
+      result = { success: false, error: `Unknown job stage: ${job.stage}`, retryable: false };
+    } else {
+      const response = await fetch(`${Deno.env.get('SUPABASE_URL')}/functions/v1/${functionName}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')}`
+        },
+        body: JSON.stringify(job.payload)
+      });
+
+      result = response.ok
+        ? { success: true }
+        : {
+          success: false,
+          error: `${functionName} returned ${response.status}: ${await response.text()}`,
+          retryable: isRetryableStatus(response.status)
+        };
+    }
+  } catch (error) {
+    result = { success: false, error: String(error), retryable: true };
+  }
+
+  const update = result.success
+    ? { status: 'completed', last_error: null, completed_at: new Date().toISOString() }
+    : buildFailureUpdate(job, result.error!, result.retryable!);
+
+  if (!result.success) {
+    console.error(`Job ${job.id} (${job.stage}) attempt ${job.attempts} failed:`, result.error);
+  }
+
+  const { error: updateError } = await supabase
+    .from('generation_jobs')
+    .update(update)
+    .eq('id', job.id);
+
+  // The visibility timeout hands the job to a later run if this write is lost
+  if (updateError) {
+    console.error('Job update error:', updateError);
+  }
+}
+
+// Reschedule a failed job with backoff, or dead-letter it once it is out of attempts
+// or the failure will not go away on retry. A dead-lettered job fails its story and route
+// (sync_generation_job_failure trigger), so status polling stops.
+function buildFailureUpdate(job: any, error: string, retryable: boolean): any {
+  if (!retryable || job.attempts >= job.max_attempts) {
+    return { status: 'dead_letter', last_error: error };
+  }
+
+  return {
+    status: 'queued',
+    last_error: error,
+    visible_at: new Date(Date.now() + calculateRetryDelaySeconds(job.attempts) * 1000).toISOString()
+  };
+}
+
+// Exponential backoff after the given (1-based) attempt
+function calculateRetryDelaySeconds(attempts: number): number {
+  return Math.min(RETRY_BASE_DELAY_SECONDS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_SECONDS);
+}
+
+// Server errors and rate limiting may clear up; other client errors mean a bad payload
+function isRetryableStatus(status: number): boolean {
+  return status >= 500 || status === 429 || status === 408;
+}
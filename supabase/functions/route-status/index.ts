@@ -12,6 +12,7 @@ interface RouteStatusResponse {
     pois_discovered: boolean;
     stories_generated: number;
     audio_generated: number;
+    stories_failed: number;
   };
 }
 
@@ -104,15 +105,17 @@ async function getRouteStatus(supabase: any, routeId: string): Promise<Response>
     // Get associated stories
     const { data: stories, error: storiesError } = await supabase
       .from('stories')
-      .select('id, title, audio_url, duration_seconds')
-      .eq('route_id', routeId);
+      .select('id, title, audio_url, duration_seconds, content_generated_at, generation_failed_at')
+      .eq('route_id', routeId)
+      .order('route_fraction', { ascending: true });
 
     if (storiesError) {
       console.error('Stories fetch error:', storiesError);
     }
 
-    const storyCount = stories?.length || 0;
-    const storiesWithAudio = stories?.filter(story => story.audio_url).length || 0;
+    const storiesWithContent = stories?.filter((story: any) => story.content_generated_at).length || 0;
+    const storiesWithAudio = stories?.filter((story: any) => story.audio_url).length || 0;
+    const failedStories = stories?.filter((story: any) => story.generation_failed_at).length || 0;
 
     // Calculate estimated completion time for processing routes
     let estimatedCompletion;
@@ -126,12 +129,13 @@ async function getRouteStatus(supabase: any, routeId: string): Promise<Response>
       status: route.status,
       generation_progress: route.generation_progress,
       estimated_completion_seconds: estimatedCompletion,
-      error_message: route.status === 'failed' ? 'Route generation failed' : undefined,
+      error_message: route.status === 'failed' ? route.error_message || 'Route generation failed' : undefined,
       partial_results: {
-        route_calculated: route.generation_progress >= 40,
-        pois_discovered: route.generation_progress >= 70,
-        stories_generated: storyCount,
-        audio_generated: storiesWithAudio
+        route_calculated: route.generation_progress >= 30,
+        pois_discovered: route.generation_progress >= 40,
+        stories_generated: storiesWithContent,
+        audio_generated: storiesWithAudio,
+        stories_failed: failedStories
       }
     };
 
@@ -0,0 +1,3 @@
+-- Store user-specified stops for multi-stop itineraries
+-- Each entry is a [latitude, longitude] pair in the order the request listed them
+ALTER TABLE routes ADD COLUMN via_locations JSONB NOT NULL DEFAULT '[]';
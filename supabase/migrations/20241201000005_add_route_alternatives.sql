@@ -0,0 +1,9 @@
+-- Ranked alternative routes generated for a single request are stored as sibling rows
+ALTER TABLE routes ADD COLUMN request_id UUID;
+ALTER TABLE routes ADD COLUMN variant_label TEXT;
+ALTER TABLE routes ADD COLUMN variant_rank INTEGER DEFAULT 1 CHECK (variant_rank >= 1);
+
+-- Audio is only generated for the alternative the client picks
+ALTER TABLE routes ADD COLUMN is_selected BOOLEAN NOT NULL DEFAULT TRUE;
+
+CREATE INDEX routes_request_id_idx ON routes (request_id);
@@ -0,0 +1,6 @@
+-- Loop (round-trip) routes start and finish at the same point and are built to a target
+ALTER TABLE routes ADD COLUMN route_type VARCHAR(20) NOT NULL DEFAULT 'point_to_point'
+  CHECK (route_type IN ('point_to_point', 'loop'));
+
+-- Target duration_seconds and/or distance_meters requested for a loop
+ALTER TABLE routes ADD COLUMN loop_target JSONB;
@@ -0,0 +1,8 @@
+-- Where each story's POI projects onto its route
+ALTER TABLE stories ADD COLUMN route_fraction DOUBLE PRECISION
+  CHECK (route_fraction >= 0 AND route_fraction <= 1);
+ALTER TABLE stories ADD COLUMN distance_from_route_meters INTEGER
+  CHECK (distance_from_route_meters >= 0);
+
+-- Stories are read back in driving order
+CREATE INDEX stories_route_fraction_idx ON stories (route_id, route_fraction);
@@ -0,0 +1,16 @@
+-- Cache of Geocoding API results, keyed by a normalized address or rounded coordinates
+CREATE TABLE geocode_cache (
+  query_key TEXT PRIMARY KEY, -- 'forward:palo alto,ca' or 'reverse:37.442,-122.143'
+  query_type VARCHAR(10) NOT NULL CHECK (query_type IN ('forward', 'reverse')),
+  result JSONB NOT NULL, -- First Geocoding result
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX geocode_cache_expires_idx ON geocode_cache (expires_at);
+
+-- Only Edge Functions (service role) read and write the cache
+ALTER TABLE geocode_cache ENABLE ROW LEVEL SECURITY;
+
+-- Locality, region and country of the route start and end, passed to story prompts
+ALTER TABLE routes ADD COLUMN location_context JSONB NOT NULL DEFAULT '{}';
@@ -0,0 +1,2 @@
+-- Why generation failed; async requests have no HTTP response to carry the error
+ALTER TABLE routes ADD COLUMN error_message TEXT;
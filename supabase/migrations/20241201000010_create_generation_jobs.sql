@@ -0,0 +1,100 @@
+-- Durable queue for the content and audio stages of story generation.
+-- The process-jobs worker claims jobs, hides them for a visibility timeout while it works,
+-- and reschedules failures with exponential backoff until max_attempts moves them to dead_letter.
+CREATE TABLE generation_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  stage VARCHAR(20) NOT NULL CHECK (stage IN ('content', 'audio')),
+  status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'dead_letter')),
+  route_id UUID REFERENCES routes(id) ON DELETE CASCADE,
+  story_id UUID REFERENCES stories(id) ON DELETE CASCADE,
+  payload JSONB NOT NULL, -- Request body for the stage's Edge Function
+  attempts INTEGER NOT NULL DEFAULT 0 CHECK (attempts >= 0),
+  max_attempts INTEGER NOT NULL DEFAULT 5 CHECK (max_attempts >= 1),
+  visible_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(), -- Not claimable before this
+  last_error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX generation_jobs_claim_idx ON generation_jobs (status, visible_at);
+CREATE INDEX generation_jobs_route_id_idx ON generation_jobs (route_id);
+CREATE INDEX generation_jobs_story_id_idx ON generation_jobs (story_id);
+
+CREATE TRIGGER update_generation_jobs_updated_at BEFORE UPDATE ON generation_jobs
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Only Edge Functions (service role) touch the queue
+ALTER TABLE generation_jobs ENABLE ROW LEVEL SECURITY;
+
+-- Claim up to batch_size visible jobs and hide them for visibility_timeout_seconds.
+-- Running jobs whose timeout expired (the worker died) are claimed again, or dead-lettered
+-- when they have no attempts left. SKIP LOCKED lets several workers claim side by side.
+CREATE OR REPLACE FUNCTION claim_generation_jobs(
+  batch_size INTEGER DEFAULT 5,
+  visibility_timeout_seconds INTEGER DEFAULT 120
+) RETURNS SETOF generation_jobs AS $$
+BEGIN
+  UPDATE generation_jobs
+  SET status = 'dead_letter',
+      last_error = COALESCE(last_error, 'Visibility timeout expired on the last attempt')
+  WHERE status = 'running'
+    AND visible_at <= NOW()
+    AND attempts >= max_attempts;
+
+  RETURN QUERY
+  UPDATE generation_jobs j
+  SET status = 'running',
+      attempts = j.attempts + 1,
+      visible_at = NOW() + INTERVAL '1 second' * visibility_timeout_seconds
+  WHERE j.id IN (
+    SELECT id
+    FROM generation_jobs
+    WHERE status IN ('queued', 'running')
+      AND visible_at <= NOW()
+    ORDER BY visible_at
+    LIMIT batch_size
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING j.*;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Put a dead-lettered job back in the queue with a fresh set of attempts
+CREATE OR REPLACE FUNCTION requeue_generation_job(job_id UUID) RETURNS BOOLEAN AS $$
+BEGIN
+  UPDATE generation_jobs
+  SET status = 'queued', attempts = 0, visible_at = NOW(), completed_at = NULL
+  WHERE id = job_id AND status = 'dead_letter';
+  RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Admin view of jobs that need a look: dead letters, running jobs past their visibility
+-- timeout, and queued jobs no worker has picked up for 10 minutes
+CREATE VIEW admin_generation_job_issues AS
+SELECT
+  id,
+  stage,
+  status,
+  CASE
+    WHEN status = 'dead_letter' THEN 'dead_letter'
+    WHEN status = 'running' THEN 'visibility_expired'
+    ELSE 'not_claimed'
+  END AS issue,
+  route_id,
+  story_id,
+  attempts,
+  max_attempts,
+  last_error,
+  visible_at,
+  created_at,
+  updated_at
+FROM generation_jobs
+WHERE status = 'dead_letter'
+   OR (status = 'running' AND visible_at < NOW())
+   OR (status = 'queued' AND visible_at < NOW() - INTERVAL '10 minutes')
+ORDER BY updated_at;
+
+-- Views run with the owner's rights, so keep this one away from API clients
+REVOKE ALL ON admin_generation_job_issues FROM anon, authenticated;
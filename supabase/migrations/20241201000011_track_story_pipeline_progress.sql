@@ -0,0 +1,40 @@
+-- Set when generate-content fills in a placeholder story
+ALTER TABLE stories ADD COLUMN content_generated_at TIMESTAMP WITH TIME ZONE;
+
+-- Move a route's progress from 50 (stored by generate-route, ROUTE_PROGRESS.route_stored) to 100
+-- as its stories get content and audio, and mark it completed when all are done. Unselected
+-- alternatives only need content; their audio is queued when the client selects one.
+-- Routes still being generated or already failed are left alone.
+CREATE OR REPLACE FUNCTION update_route_generation_progress(target_route_id UUID)
+RETURNS VOID AS $$
+DECLARE
+  route_record routes%ROWTYPE;
+  story_total INTEGER;
+  content_done INTEGER;
+  audio_done INTEGER;
+  done_share NUMERIC;
+BEGIN
+  -- Lock the route so jobs finishing together count in turn
+  SELECT * INTO route_record FROM routes WHERE id = target_route_id FOR UPDATE;
+
+  IF NOT FOUND OR route_record.status = 'failed' OR route_record.generation_progress < 50 THEN
+    RETURN;
+  END IF;
+
+  SELECT COUNT(*), COUNT(content_generated_at), COUNT(audio_url)
+  INTO story_total, content_done, audio_done
+  FROM stories
+  WHERE route_id = target_route_id;
+
+  done_share := CASE
+    WHEN story_total = 0 THEN 1
+    WHEN route_record.is_selected THEN (content_done + audio_done)::NUMERIC / (2 * story_total)
+    ELSE content_done::NUMERIC / story_total
+  END;
+
+  UPDATE routes
+  SET generation_progress = 50 + FLOOR(50 * done_share)::INTEGER,
+      status = CASE WHEN done_share >= 1 THEN 'completed' ELSE 'processing' END
+  WHERE id = target_route_id;
+END;
+$$ LANGUAGE plpgsql;
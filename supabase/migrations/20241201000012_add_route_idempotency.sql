@@ -0,0 +1,15 @@
+-- Idempotency-Key sent with the request, and a hash of the normalized request used to
+-- match retries and identical requests still in flight
+ALTER TABLE routes ADD COLUMN idempotency_key TEXT;
+ALTER TABLE routes ADD COLUMN request_fingerprint TEXT;
+
+-- Response first sent for the route, replayed to retries
+ALTER TABLE routes ADD COLUMN response_status INTEGER;
+ALTER TABLE routes ADD COLUMN response_body JSONB;
+
+-- One live generation per key; a failed route frees its key for another attempt
+CREATE UNIQUE INDEX routes_idempotency_key_idx ON routes (idempotency_key)
+  WHERE idempotency_key IS NOT NULL AND variant_rank = 1 AND status <> 'failed';
+
+CREATE INDEX routes_request_fingerprint_idx ON routes (request_fingerprint, created_at DESC)
+  WHERE variant_rank = 1 AND status = 'processing';
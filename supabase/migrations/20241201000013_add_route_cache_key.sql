@@ -0,0 +1,7 @@
+-- Spatial cache of completed routes. cache_key is the start and end geohash cells plus a hash
+-- of the via cells and normalized options; route_response is the full route returned on a hit.
+ALTER TABLE routes ADD COLUMN cache_key TEXT;
+ALTER TABLE routes ADD COLUMN route_response JSONB;
+
+CREATE INDEX routes_cache_key_idx ON routes (cache_key, cache_expires_at DESC)
+  WHERE variant_rank = 1 AND status = 'completed';
@@ -0,0 +1,96 @@
+-- Request body a route was generated from, replayed to pre-generate popular corridors
+ALTER TABLE routes ADD COLUMN request_payload JSONB;
+
+-- 'request' for client requests, 'pregeneration' for routes generated ahead of demand
+ALTER TABLE routes ADD COLUMN generation_source VARCHAR(20) NOT NULL DEFAULT 'request'
+  CHECK (generation_source IN ('request', 'pregeneration'));
+
+-- Requests served from this route by the route cache
+ALTER TABLE routes ADD COLUMN cache_hits INTEGER NOT NULL DEFAULT 0 CHECK (cache_hits >= 0);
+
+CREATE INDEX routes_generation_source_idx ON routes (generation_source, created_at);
+
+CREATE OR REPLACE FUNCTION record_route_cache_hit(target_route_id UUID) RETURNS VOID AS $$
+BEGIN
+  UPDATE routes SET cache_hits = cache_hits + 1 WHERE id = target_route_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Popularity is counted per cache key, so requests that would share a cached route count
+-- together. Client requests and cache hits count; pre-generated routes do not.
+DROP MATERIALIZED VIEW popular_routes;
+
+CREATE MATERIALIZED VIEW popular_routes AS
+SELECT
+  cache_key,
+  SUM(CASE WHEN generation_source = 'request' THEN 1 ELSE 0 END + cache_hits) AS request_count,
+  MAX(created_at) AS last_requested_at,
+  (ARRAY_AGG(request_payload ORDER BY created_at DESC))[1] AS request_payload
+FROM routes
+WHERE created_at > NOW() - INTERVAL '30 days'
+  AND variant_rank = 1
+  AND cache_key IS NOT NULL
+  AND request_payload IS NOT NULL
+  AND status <> 'failed'
+GROUP BY cache_key
+HAVING SUM(CASE WHEN generation_source = 'request' THEN 1 ELSE 0 END + cache_hits) > 2
+ORDER BY request_count DESC;
+
+CREATE UNIQUE INDEX popular_routes_cache_key_idx ON popular_routes (cache_key);
+CREATE INDEX popular_routes_request_count_idx ON popular_routes (request_count DESC);
+
+-- Top corridors from popular_routes (call refresh_popular_routes first), with the latest
+-- expiry of their cached route so callers can tell which need regenerating
+DROP FUNCTION get_popular_routes(INTEGER, INTEGER);
+
+CREATE OR REPLACE FUNCTION get_popular_routes(
+  max_routes INTEGER DEFAULT 50,
+  min_requests INTEGER DEFAULT 3
+) RETURNS TABLE (
+  cache_key TEXT,
+  request_payload JSONB,
+  request_count BIGINT,
+  cache_expires_at TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    p.cache_key,
+    p.request_payload,
+    p.request_count::BIGINT,
+    (
+      SELECT MAX(r.cache_expires_at)
+      FROM routes r
+      WHERE r.cache_key = p.cache_key
+        AND r.variant_rank = 1
+        AND r.status = 'completed'
+    )
+  FROM popular_routes p
+  WHERE p.request_count >= min_requests
+  ORDER BY p.request_count DESC
+  LIMIT max_routes;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Corridors kept warm regardless of popularity, ahead of popular ones in the daily budget.
+-- Addresses geocode to fixed points, so app requests for these trips share the cached route.
+CREATE TABLE pregeneration_corridors (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  request_payload JSONB NOT NULL, -- Route generation request body
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE pregeneration_corridors ENABLE ROW LEVEL SECURITY;
+
+-- Bay Area commuter corridors, both directions
+INSERT INTO pregeneration_corridors (name, request_payload) VALUES
+  ('San Francisco to Palo Alto', '{"start_location": {"address": "San Francisco, CA"}, "end_location": {"address": "Palo Alto, CA"}, "preferences": {}}'),
+  ('Palo Alto to San Francisco', '{"start_location": {"address": "Palo Alto, CA"}, "end_location": {"address": "San Francisco, CA"}, "preferences": {}}'),
+  ('San Francisco to San Jose', '{"start_location": {"address": "San Francisco, CA"}, "end_location": {"address": "San Jose, CA"}, "preferences": {}}'),
+  ('San Jose to San Francisco', '{"start_location": {"address": "San Jose, CA"}, "end_location": {"address": "San Francisco, CA"}, "preferences": {}}'),
+  ('Oakland to San Francisco', '{"start_location": {"address": "Oakland, CA"}, "end_location": {"address": "San Francisco, CA"}, "preferences": {}}'),
+  ('San Francisco to Oakland', '{"start_location": {"address": "San Francisco, CA"}, "end_location": {"address": "Oakland, CA"}, "preferences": {}}'),
+  ('Fremont to Palo Alto', '{"start_location": {"address": "Fremont, CA"}, "end_location": {"address": "Palo Alto, CA"}, "preferences": {}}'),
+  ('Palo Alto to Fremont', '{"start_location": {"address": "Palo Alto, CA"}, "end_location": {"address": "Fremont, CA"}, "preferences": {}}');
@@ -0,0 +1,81 @@
+-- Set when a POI behind one of the route's stories changes, cleared when the api starts
+-- regenerating the affected stories
+ALTER TABLE routes ADD COLUMN stale_at TIMESTAMP WITH TIME ZONE;
+
+-- Last time stale stories were regenerated. A processing route with this set is a cached
+-- route refreshing its stories, and keeps being served from the route cache meanwhile.
+ALTER TABLE routes ADD COLUMN stories_refreshed_at TIMESTAMP WITH TIME ZONE;
+
+-- Why a cached route's story went stale. Rows stay after the refresh as a record of it.
+CREATE TABLE route_invalidations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  route_id UUID NOT NULL REFERENCES routes(id) ON DELETE CASCADE,
+  story_id UUID REFERENCES stories(id) ON DELETE SET NULL, -- Unset once a dropped story is deleted
+  poi_id UUID NOT NULL, -- No foreign key: deleted POIs are invalidations too
+  reason VARCHAR(20) NOT NULL CHECK (reason IN ('poi_closed', 'poi_deleted', 'poi_edited', 'poi_rescored')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  refreshed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX route_invalidations_pending_idx ON route_invalidations (route_id) WHERE refreshed_at IS NULL;
+CREATE INDEX route_invalidations_poi_id_idx ON route_invalidations (poi_id);
+
+ALTER TABLE route_invalidations ENABLE ROW LEVEL SECURITY;
+
+-- Stored popularity scores are per request (interest boost of 15 and up to 8 for distance),
+-- so only larger moves count as re-scoring
+CREATE OR REPLACE FUNCTION invalidate_routes_for_poi() RETURNS TRIGGER AS $$
+DECLARE
+  change_reason TEXT;
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    change_reason := 'poi_deleted';
+  ELSIF NEW.metadata->'google_data'->>'business_status' = 'CLOSED_PERMANENTLY'
+    AND OLD.metadata->'google_data'->>'business_status' IS DISTINCT FROM 'CLOSED_PERMANENTLY' THEN
+    change_reason := 'poi_closed';
+  ELSIF NEW.name IS DISTINCT FROM OLD.name
+    OR NEW.description IS DISTINCT FROM OLD.description
+    OR NEW.address IS DISTINCT FROM OLD.address
+    OR NEW.poi_type IS DISTINCT FROM OLD.poi_type
+    OR ST_Distance(NEW.location, OLD.location) > 50 THEN
+    change_reason := 'poi_edited';
+  ELSIF ABS(COALESCE(NEW.google_rating, 0) - COALESCE(OLD.google_rating, 0)) >= 0.5
+    OR ABS(COALESCE(NEW.popularity_score, 0) - COALESCE(OLD.popularity_score, 0)) >= 25 THEN
+    change_reason := 'poi_rescored';
+  ELSE
+    RETURN OLD;
+  END IF;
+
+  -- Only routes still in the cache need their stories refreshed
+  INSERT INTO route_invalidations (route_id, story_id, poi_id, reason)
+  SELECT s.route_id, s.id, OLD.id, change_reason
+  FROM stories s
+  JOIN routes r ON r.id = s.route_id
+  WHERE s.poi_id = OLD.id
+    AND r.status <> 'failed'
+    AND r.cache_expires_at > NOW()
+    AND NOT EXISTS (
+      SELECT 1 FROM route_invalidations i
+      WHERE i.story_id = s.id AND i.reason = change_reason AND i.refreshed_at IS NULL
+    );
+
+  UPDATE routes
+  SET stale_at = NOW()
+  WHERE id IN (
+    SELECT route_id FROM route_invalidations
+    WHERE poi_id = OLD.id AND refreshed_at IS NULL
+  );
+
+  -- Lets the delete go ahead; the update trigger runs after the fact and ignores it
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER invalidate_routes_on_poi_update
+  AFTER UPDATE ON pois
+  FOR EACH ROW EXECUTE FUNCTION invalidate_routes_for_poi();
+
+-- Before the delete, while stories.poi_id still points at the POI
+CREATE TRIGGER invalidate_routes_on_poi_delete
+  BEFORE DELETE ON pois
+  FOR EACH ROW EXECUTE FUNCTION invalidate_routes_for_poi();
@@ -0,0 +1,4 @@
+-- Departure the route was planned for. estimated_time_seconds includes the traffic Directions
+-- predicted for it; free_flow_time_seconds is the same route without traffic.
+ALTER TABLE routes ADD COLUMN departure_time TIMESTAMP WITH TIME ZONE;
+ALTER TABLE routes ADD COLUMN free_flow_time_seconds INTEGER;
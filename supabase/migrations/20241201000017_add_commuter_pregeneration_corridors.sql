@@ -0,0 +1,11 @@
+-- Commuters route with predicted traffic, so pinned corridors are pre-generated for the
+-- morning and evening peaks, under the same cache keys as the commuters' requests
+INSERT INTO pregeneration_corridors (name, request_payload, enabled)
+SELECT name || ' (evening peak)', request_payload || '{"context": {"time_of_day": "evening"}}', enabled
+FROM pregeneration_corridors
+WHERE NOT request_payload ? 'context';
+
+UPDATE pregeneration_corridors
+SET name = name || ' (morning peak)',
+    request_payload = request_payload || '{"context": {"time_of_day": "morning"}}'
+WHERE NOT request_payload ? 'context';
@@ -0,0 +1,3 @@
+-- The route cache serves response_body, which holds the finished route once generation
+-- completes, so the separate copy in route_response is no longer written
+ALTER TABLE routes DROP COLUMN route_response;
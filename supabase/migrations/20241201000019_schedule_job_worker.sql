@@ -0,0 +1,33 @@
+-- Scheduled Edge Function calls. pg_net posts to the function with the project URL and the
+-- service role key stored in Vault as 'project_url' and 'service_role_key'.
+CREATE EXTENSION IF NOT EXISTS pg_cron;
+CREATE EXTENSION IF NOT EXISTS pg_net;
+
+CREATE OR REPLACE FUNCTION invoke_edge_function(
+  function_name TEXT,
+  request_body JSONB DEFAULT '{}'
+) RETURNS BIGINT AS $$
+DECLARE
+  project_url TEXT;
+  service_role_key TEXT;
+BEGIN
+  SELECT decrypted_secret INTO project_url FROM vault.decrypted_secrets WHERE name = 'project_url';
+  SELECT decrypted_secret INTO service_role_key FROM vault.decrypted_secrets WHERE name = 'service_role_key';
+
+  RETURN net.http_post(
+    url := project_url || '/functions/v1/' || function_name,
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'Authorization', 'Bearer ' || service_role_key
+    ),
+    body := request_body
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Reads the service role key, so only cron (running as postgres) may call it
+REVOKE ALL ON FUNCTION invoke_edge_function(TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+
+-- Stages wake the worker when they queue jobs; the schedule picks up retries whose backoff
+-- has passed and jobs left behind by crashed workers
+SELECT cron.schedule('process-generation-jobs', '* * * * *', $$SELECT invoke_edge_function('process-jobs')$$);
@@ -0,0 +1,3 @@
+-- Daily corridor pre-generation at 10:00 UTC, which is 02:00 or 03:00 in the Pacific off-peak
+-- window whatever the daylight saving time
+SELECT cron.schedule('pregenerate-routes', '0 10 * * *', $$SELECT invoke_edge_function('pregenerate-routes')$$);
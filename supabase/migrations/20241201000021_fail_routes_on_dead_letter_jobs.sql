@@ -0,0 +1,44 @@
+-- Set when a story's content or audio job is dead-lettered, cleared when the job is requeued
+ALTER TABLE stories ADD COLUMN generation_failed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE stories ADD COLUMN generation_error TEXT;
+
+-- A dead-lettered job never runs again on its own, so its story and route fail instead of
+-- staying in processing. This covers jobs the worker gives up on and jobs whose visibility
+-- timeout ran out on the last attempt. Requeueing the job puts them back in processing.
+CREATE OR REPLACE FUNCTION sync_generation_job_failure()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.status = 'dead_letter' THEN
+    UPDATE stories
+    SET generation_failed_at = NOW(), generation_error = NEW.last_error
+    WHERE id = NEW.story_id;
+
+    UPDATE routes
+    SET status = 'failed',
+        error_message = format('Story %s generation failed: %s', NEW.stage, COALESCE(NEW.last_error, 'unknown error'))
+    WHERE id = NEW.route_id AND status <> 'failed';
+  ELSE
+    UPDATE stories
+    SET generation_failed_at = NULL, generation_error = NULL
+    WHERE id = NEW.story_id;
+
+    -- The route recovers once none of its jobs is dead-lettered
+    UPDATE routes
+    SET status = 'processing', error_message = NULL
+    WHERE id = NEW.route_id
+      AND status = 'failed'
+      AND NOT EXISTS (
+        SELECT 1 FROM generation_jobs
+        WHERE route_id = NEW.route_id AND status = 'dead_letter'
+      );
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER sync_generation_job_failure
+  AFTER UPDATE OF status ON generation_jobs
+  FOR EACH ROW
+  WHEN (OLD.status IS DISTINCT FROM NEW.status AND 'dead_letter' IN (OLD.status, NEW.status))
+  EXECUTE FUNCTION sync_generation_job_failure();
@@ -0,0 +1,40 @@
+-- Insert or update POIs by google_place_id without dropping what earlier routes stored:
+-- metadata is merged key by key and matched_interests accumulates across routes.
+-- popularity_score is left alone, since the scores routes compute depend on the route and
+-- are kept on their stories. last_updated only moves when the data is fresh from Places.
+CREATE OR REPLACE FUNCTION upsert_pois(
+  poi_records JSONB,
+  places_refreshed BOOLEAN DEFAULT FALSE
+) RETURNS SETOF pois AS $$
+BEGIN
+  RETURN QUERY
+  INSERT INTO pois AS p (google_place_id, name, location, poi_type, google_rating, review_count, metadata, last_updated)
+  SELECT
+    r->>'google_place_id',
+    r->>'name',
+    ST_GeogFromText(r->>'location'),
+    r->>'poi_type',
+    (r->>'google_rating')::DECIMAL,
+    (r->>'review_count')::INTEGER,
+    COALESCE(r->'metadata', '{}'),
+    NOW()
+  FROM jsonb_array_elements(poi_records) AS r
+  ON CONFLICT (google_place_id) DO UPDATE SET
+    name = EXCLUDED.name,
+    location = EXCLUDED.location,
+    poi_type = EXCLUDED.poi_type,
+    google_rating = EXCLUDED.google_rating,
+    review_count = EXCLUDED.review_count,
+    metadata = p.metadata || EXCLUDED.metadata || jsonb_build_object(
+      'matched_interests',
+      (
+        SELECT COALESCE(jsonb_agg(DISTINCT interest), '[]')
+        FROM jsonb_array_elements_text(
+          COALESCE(p.metadata->'matched_interests', '[]') || COALESCE(EXCLUDED.metadata->'matched_interests', '[]')
+        ) AS interest
+      )
+    ),
+    last_updated = CASE WHEN places_refreshed THEN NOW() ELSE p.last_updated END
+  RETURNING p.*;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,66 @@
+-- Pinned corridors were fixed requests between city addresses, whose geohash cells almost no
+-- commuter starts or ends in. A pinned corridor is now a pair of areas: each run pre-generates
+-- the cache keys commuters actually requested between them, so their next trip is a hit.
+DELETE FROM pregeneration_corridors;
+
+ALTER TABLE pregeneration_corridors DROP COLUMN request_payload;
+
+ALTER TABLE pregeneration_corridors
+  ADD COLUMN start_area GEOGRAPHY(POINT) NOT NULL,
+  ADD COLUMN end_area GEOGRAPHY(POINT) NOT NULL,
+  ADD COLUMN area_radius_meters INTEGER NOT NULL DEFAULT 6000 CHECK (area_radius_meters > 0),
+  ADD COLUMN max_routes INTEGER NOT NULL DEFAULT 10 CHECK (max_routes > 0); -- Cache keys kept warm per run
+
+-- Bay Area commuter corridors, both directions
+INSERT INTO pregeneration_corridors (name, start_area, end_area) VALUES
+  ('San Francisco to Palo Alto', ST_GeogFromText('POINT(-122.4194 37.7749)'), ST_GeogFromText('POINT(-122.1430 37.4419)')),
+  ('Palo Alto to San Francisco', ST_GeogFromText('POINT(-122.1430 37.4419)'), ST_GeogFromText('POINT(-122.4194 37.7749)')),
+  ('San Francisco to San Jose', ST_GeogFromText('POINT(-122.4194 37.7749)'), ST_GeogFromText('POINT(-121.8863 37.3382)')),
+  ('San Jose to San Francisco', ST_GeogFromText('POINT(-121.8863 37.3382)'), ST_GeogFromText('POINT(-122.4194 37.7749)')),
+  ('Oakland to San Francisco', ST_GeogFromText('POINT(-122.2712 37.8044)'), ST_GeogFromText('POINT(-122.4194 37.7749)')),
+  ('San Francisco to Oakland', ST_GeogFromText('POINT(-122.4194 37.7749)'), ST_GeogFromText('POINT(-122.2712 37.8044)')),
+  ('Fremont to Palo Alto', ST_GeogFromText('POINT(-121.9886 37.5485)'), ST_GeogFromText('POINT(-122.1430 37.4419)')),
+  ('Palo Alto to Fremont', ST_GeogFromText('POINT(-122.1430 37.4419)'), ST_GeogFromText('POINT(-121.9886 37.5485)'));
+
+-- The most requested cache keys of the last 30 days starting and ending in each enabled
+-- corridor's areas, up to its max_routes, with the latest request to replay. Counted like
+-- popular_routes, but from a single request: the corridor is known to matter already.
+CREATE OR REPLACE FUNCTION get_corridor_routes(min_requests INTEGER DEFAULT 1)
+RETURNS TABLE (
+  corridor_name TEXT,
+  cache_key TEXT,
+  request_payload JSONB,
+  request_count BIGINT
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT ranked.name, ranked.cache_key, ranked.request_payload, ranked.request_count
+  FROM (
+    SELECT
+      c.name,
+      c.created_at,
+      c.max_routes,
+      r.cache_key,
+      (ARRAY_AGG(r.request_payload ORDER BY r.created_at DESC))[1] AS request_payload,
+      SUM(CASE WHEN r.generation_source = 'request' THEN 1 ELSE 0 END + r.cache_hits)::BIGINT AS request_count,
+      ROW_NUMBER() OVER (
+        PARTITION BY c.id
+        ORDER BY SUM(CASE WHEN r.generation_source = 'request' THEN 1 ELSE 0 END + r.cache_hits) DESC
+      ) AS corridor_rank
+    FROM pregeneration_corridors c
+    JOIN routes r
+      ON ST_DWithin(r.start_location, c.start_area, c.area_radius_meters)
+      AND ST_DWithin(r.end_location, c.end_area, c.area_radius_meters)
+    WHERE c.enabled
+      AND r.created_at > NOW() - INTERVAL '30 days'
+      AND r.variant_rank = 1
+      AND r.cache_key IS NOT NULL
+      AND r.request_payload IS NOT NULL
+      AND r.status <> 'failed'
+    GROUP BY c.id, r.cache_key
+    HAVING SUM(CASE WHEN r.generation_source = 'request' THEN 1 ELSE 0 END + r.cache_hits) >= min_requests
+  ) ranked
+  WHERE ranked.corridor_rank <= ranked.max_routes
+  ORDER BY ranked.created_at, ranked.corridor_rank;
+END;
+$$ LANGUAGE plpgsql;
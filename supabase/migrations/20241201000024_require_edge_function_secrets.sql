@@ -0,0 +1,37 @@
+-- Without the Vault secrets the URL or Authorization header concatenated to NULL and pg_net
+-- queued a request that could never be sent, so scheduled jobs silently stopped. Fail loudly
+-- instead, so the cron job run records why.
+CREATE OR REPLACE FUNCTION invoke_edge_function(
+  function_name TEXT,
+  request_body JSONB DEFAULT '{}'
+) RETURNS BIGINT AS $$
+DECLARE
+  project_url TEXT;
+  service_role_key TEXT;
+BEGIN
+  SELECT decrypted_secret INTO project_url FROM vault.decrypted_secrets WHERE name = 'project_url';
+  SELECT decrypted_secret INTO service_role_key FROM vault.decrypted_secrets WHERE name = 'service_role_key';
+
+  IF project_url IS NULL THEN
+    RAISE EXCEPTION 'Vault secret project_url is missing; cannot invoke edge function %', function_name
+      USING HINT = 'Run: select vault.create_secret(''<project url>'', ''project_url'')';
+  END IF;
+
+  IF service_role_key IS NULL THEN
+    RAISE EXCEPTION 'Vault secret service_role_key is missing; cannot invoke edge function %', function_name
+      USING HINT = 'Run: select vault.create_secret(''<service role key>'', ''service_role_key'')';
+  END IF;
+
+  RETURN net.http_post(
+    url := project_url || '/functions/v1/' || function_name,
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'Authorization', 'Bearer ' || service_role_key
+    ),
+    body := request_body
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Reads the service role key, so only cron (running as postgres) may call it
+REVOKE ALL ON FUNCTION invoke_edge_function(TEXT, JSONB) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,50 @@
+-- Nothing writes pois.popularity_score since upsert_pois leaves it alone (route scores are
+-- kept on stories), so re-scoring is judged on what Places refreshes: the rating moving by
+-- 0.5, or the review count (user_ratings_total) doubling or halving. Route scoring weighs
+-- reviews by their logarithm; counts under 10 count as 10, so the first few reviews are ignored.
+CREATE OR REPLACE FUNCTION invalidate_routes_for_poi() RETURNS TRIGGER AS $$
+DECLARE
+  change_reason TEXT;
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    change_reason := 'poi_deleted';
+  ELSIF NEW.metadata->'google_data'->>'business_status' = 'CLOSED_PERMANENTLY'
+    AND OLD.metadata->'google_data'->>'business_status' IS DISTINCT FROM 'CLOSED_PERMANENTLY' THEN
+    change_reason := 'poi_closed';
+  ELSIF NEW.name IS DISTINCT FROM OLD.name
+    OR NEW.description IS DISTINCT FROM OLD.description
+    OR NEW.address IS DISTINCT FROM OLD.address
+    OR NEW.poi_type IS DISTINCT FROM OLD.poi_type
+    OR ST_Distance(NEW.location, OLD.location) > 50 THEN
+    change_reason := 'poi_edited';
+  ELSIF ABS(COALESCE(NEW.google_rating, 0) - COALESCE(OLD.google_rating, 0)) >= 0.5
+    OR ABS(LN(GREATEST(COALESCE(NEW.review_count, 0), 10)) - LN(GREATEST(COALESCE(OLD.review_count, 0), 10))) >= LN(2) THEN
+    change_reason := 'poi_rescored';
+  ELSE
+    RETURN OLD;
+  END IF;
+
+  -- Only routes still in the cache need their stories refreshed
+  INSERT INTO route_invalidations (route_id, story_id, poi_id, reason)
+  SELECT s.route_id, s.id, OLD.id, change_reason
+  FROM stories s
+  JOIN routes r ON r.id = s.route_id
+  WHERE s.poi_id = OLD.id
+    AND r.status <> 'failed'
+    AND r.cache_expires_at > NOW()
+    AND NOT EXISTS (
+      SELECT 1 FROM route_invalidations i
+      WHERE i.story_id = s.id AND i.reason = change_reason AND i.refreshed_at IS NULL
+    );
+
+  UPDATE routes
+  SET stale_at = NOW()
+  WHERE id IN (
+    SELECT route_id FROM route_invalidations
+    WHERE poi_id = OLD.id AND refreshed_at IS NULL
+  );
+
+  -- Lets the delete go ahead; the update trigger runs after the fact and ignores it
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,6 @@
+// Lets unit tests require the Edge Function modules in supabase/functions/_shared directly:
+// strips the TypeScript types and turns their ES module imports into CommonJS for Jest
+module.exports = {
+  presets: ['@babel/preset-typescript'],
+  plugins: ['@babel/plugin-transform-modules-commonjs']
+};
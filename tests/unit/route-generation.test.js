@@ -1,5 +1,11 @@
 // Unit tests for route generation logic
 const nock = require('nock');
+const alternatives = require('../../supabase/functions/_shared/alternatives.ts');
+const fixtureMaps = require('../../supabase/functions/_shared/maps/fixture.ts');
+const itinerary = require('../../supabase/functions/_shared/itinerary.ts');
+const poiSelection = require('../../supabase/functions/_shared/poi-selection.ts');
+const routeKeys = require('../../supabase/functions/_shared/route-keys.ts');
+const storyPlayback = require('../../supabase/functions/_shared/story-playback.ts');
 
 describe('Route Generation Logic', () => {
   describe('Coordinate Validation', () => {
@@ -159,28 +165,37 @@ describe('Route Generation Logic', () => {
   });
 
   describe('Google Maneuver Mapping', () => {
-    // Mock maneuver mapping function
-    function mapGoogleManeuverToMapKit(googleManeuver) {
-      const maneuverMap = {
-        'turn-left': 'turn_left',
-        'turn-right': 'turn_right',
-        'turn-sharp-left': 'turn_sharp_left',
-        'turn-sharp-right': 'turn_sharp_right',
-        'turn-slight-left': 'turn_slight_left',
-        'turn-slight-right': 'turn_slight_right',
-        'straight': 'continue_straight',
-        'uturn-left': 'u_turn',
-        'uturn-right': 'u_turn',
-        'merge': 'merge',
-        'fork-left': 'fork_left',
-        'fork-right': 'fork_right',
-        'keep-left': 'keep_left',
-        'keep-right': 'keep_right',
-        'ramp-left': 'ramp_left',
-        'ramp-right': 'ramp_right'
-      };
-      
-      return maneuverMap[googleManeuver] || 'continue_straight';
+    // Mock maneuver mapping function (extracted from generate-route/index.ts)
+    const GOOGLE_MANEUVER_TYPES = {
+      'turn-left': 'turn_left',
+      'turn-right': 'turn_right',
+      'turn-sharp-left': 'turn_sharp_left',
+      'turn-sharp-right': 'turn_sharp_right',
+      'turn-slight-left': 'turn_slight_left',
+      'turn-slight-right': 'turn_slight_right',
+      'straight': 'continue_straight',
+      'uturn-left': 'u_turn',
+      'uturn-right': 'u_turn',
+      'merge': 'merge',
+      'fork-left': 'fork_left',
+      'fork-right': 'fork_right',
+      'keep-left': 'keep_left',
+      'keep-right': 'keep_right',
+      'ramp-left': 'ramp_left',
+      'ramp-right': 'ramp_right',
+      'roundabout-left': 'roundabout_left',
+      'roundabout-right': 'roundabout_right',
+      'ferry': 'ferry',
+      'ferry-train': 'ferry_train'
+    };
+
+    function mapGoogleManeuverToMapKit(googleManeuver, instruction = '') {
+      const rampSide = googleManeuver?.match(/^(?:turn-slight|keep)-(left|right)$/)?.[1];
+      if (rampSide && /\b(?:ramp|exit)\b/i.test(instruction)) {
+        return `ramp_${rampSide}`;
+      }
+
+      return GOOGLE_MANEUVER_TYPES[googleManeuver] || 'continue_straight';
     }
 
     test('should map basic turn maneuvers correctly', () => {
@@ -204,6 +219,18 @@ describe('Route Generation Logic', () => {
       expect(mapGoogleManeuverToMapKit('merge')).toBe('merge');
       expect(mapGoogleManeuverToMapKit('keep-right')).toBe('keep_right');
     });
+
+    test('should map roundabouts and ferries', () => {
+      expect(mapGoogleManeuverToMapKit('roundabout-right')).toBe('roundabout_right');
+      expect(mapGoogleManeuverToMapKit('ferry')).toBe('ferry');
+      expect(mapGoogleManeuverToMapKit('ferry-train')).toBe('ferry_train');
+    });
+
+    test('should treat slight turns and keeps onto ramps or exits as ramps', () => {
+      expect(mapGoogleManeuverToMapKit('turn-slight-right', 'Slight right onto the US-101 S ramp to San Jose')).toBe('ramp_right');
+      expect(mapGoogleManeuverToMapKit('keep-left', 'Keep left to take exit 403')).toBe('ramp_left');
+      expect(mapGoogleManeuverToMapKit('turn-slight-left', 'Slight left onto Alma St')).toBe('turn_slight_left');
+    });
   });
 
   describe('Request Validation', () => {
@@ -348,4 +375,1917 @@ describe('Route Generation Logic', () => {
       expect(global.testUtils.isValidMapKitRoute(invalidRoute)).toBe(false);
     });
   });
+
+  describe('Scenic Route Variant Selection', () => {
+    const { selectBestRouteVariant, selectScenicVariant } = poiSelection;
+
+    const museum = { name: 'Museum', popularity_score: 80 };
+    const park = { name: 'Park', popularity_score: 60 };
+    const tower = { name: 'Tower', popularity_score: 70 };
+
+    test('should pick the highest scoring variant within the time budget', () => {
+      const variants = [
+        { pois: [museum], time_seconds: 1100 },
+        { pois: [museum, park], time_seconds: 1180 },
+        { pois: [museum, park, tower], time_seconds: 1500 }
+      ];
+      const selected = selectBestRouteVariant(variants, 1000, 20);
+      expect(selected.pois).toEqual([museum, park]);
+    });
+
+    test('should return null when every variant exceeds the budget', () => {
+      const variants = [{ pois: [museum], time_seconds: 1300 }];
+      expect(selectBestRouteVariant(variants, 1000, 20)).toBeNull();
+    });
+
+    test('should prefer the faster variant when scores tie', () => {
+      const variants = [
+        { pois: [tower], time_seconds: 1150 },
+        { pois: [tower], time_seconds: 1050 }
+      ];
+      expect(selectBestRouteVariant(variants, 1000, 20).time_seconds).toBe(1050);
+    });
+
+    // Priced POIs whose estimated detours fill a 200 s budget on a 1000 s baseline
+    const priced = [
+      { google_place_id: 'A', name: 'A', popularity_score: 90, detour_seconds: 60 },
+      { google_place_id: 'B', name: 'B', popularity_score: 80, detour_seconds: 60 },
+      { google_place_id: 'C', name: 'C', popularity_score: 70, detour_seconds: 60 },
+      { google_place_id: 'D', name: 'D', popularity_score: 40, detour_seconds: 10 },
+      { google_place_id: 'E', name: 'E', popularity_score: 30, detour_seconds: 10 },
+      { google_place_id: 'Far', name: 'Far', popularity_score: 100, detour_seconds: 900 }
+    ];
+    // Directions detours that take `factor` times their estimate
+    const priceAt = factor => jest.fn(async pois => ({
+      route: {},
+      pois,
+      time_seconds: 1000 + factor * pois.reduce((sum, poi) => sum + poi.detour_seconds, 0)
+    }));
+    const reasons = selection => Object.fromEntries(selection.dropped.map(drop => [drop.name, drop.reason]));
+
+    test('should re-optimize with a smaller budget when Directions detours exceed the estimates', async () => {
+      const priceVariant = priceAt(4);
+      const { selected, poiSelection: selection } = await selectScenicVariant(priced, 1000, 20, priceVariant);
+
+      // [A, B, C, D] and its three subsets all run over; a 20 s budget leaves D alone
+      expect(selected.pois.map(poi => poi.name)).toEqual(['D']);
+      expect(priceVariant).toHaveBeenCalledTimes(5);
+      expect(selection.selected).toEqual(selected.pois);
+      expect(reasons(selection)).toEqual({
+        A: 'variant_over_budget',
+        B: 'variant_over_budget',
+        C: 'variant_over_budget',
+        E: 'budget_exhausted',
+        Far: 'exceeds_time_budget'
+      });
+    });
+
+    test('should give a reason for every POI when falling back to the baseline', async () => {
+      const { selected, poiSelection: selection } = await selectScenicVariant(priced, 1000, 20, priceAt(100));
+
+      expect(selected).toBeNull();
+      expect(selection.selected).toEqual([]);
+      expect(selection.used_seconds).toBe(0);
+      expect(reasons(selection)).toEqual({
+        A: 'variant_over_budget',
+        B: 'variant_over_budget',
+        C: 'variant_over_budget',
+        D: 'variant_over_budget',
+        E: 'budget_exhausted',
+        Far: 'exceeds_time_budget'
+      });
+    });
+
+    test('should tell POIs without a route apart from POIs over budget', async () => {
+      const priceVariant = async pois => pois.some(poi => poi.name === 'C')
+        ? null
+        : { route: {}, pois, time_seconds: 1000 + pois.reduce((sum, poi) => sum + poi.detour_seconds, 0) };
+      const { selected, poiSelection: selection } = await selectScenicVariant(priced, 1000, 20, priceVariant);
+
+      expect(selected.pois.map(poi => poi.name)).toEqual(['A', 'B']);
+      expect(reasons(selection)).toMatchObject({ C: 'variant_unavailable', D: 'variant_unavailable' });
+    });
+  });
+
+  describe('Time-Budget POI Selection', () => {
+    const { MAX_ROUTE_POIS, optimizePOISelection } = poiSelection;
+
+    const poi = (name, score, detour) => ({ google_place_id: name, name, popularity_score: score, detour_seconds: detour });
+
+    test('should maximize total score within the detour budget', () => {
+      const result = optimizePOISelection([
+        poi('A', 90, 240),
+        poi('B', 60, 120),
+        poi('C', 55, 120),
+        poi('D', 50, 0)
+      ], 300);
+
+      expect(result.selected.map(p => p.name)).toEqual(['B', 'C', 'D']);
+      expect(result.used_seconds).toBeLessThanOrEqual(300);
+      expect(result.min_stops_met).toBe(true);
+    });
+
+    test('should prefer reaching the minimum stops over a single high scorer', () => {
+      const result = optimizePOISelection([
+        poi('Star', 200, 300),
+        poi('B', 40, 90),
+        poi('C', 40, 90),
+        poi('D', 40, 90)
+      ], 300);
+
+      expect(result.selected).toHaveLength(3);
+      expect(result.dropped).toEqual([expect.objectContaining({ name: 'Star', reason: 'budget_exhausted' })]);
+    });
+
+    test('should report why POIs were dropped', () => {
+      const result = optimizePOISelection([
+        poi('Far', 80, 900),
+        poi('Unknown', 70, null),
+        poi('Near', 60, 30)
+      ], 300);
+
+      const reasons = Object.fromEntries(result.dropped.map(d => [d.name, d.reason]));
+      expect(reasons).toEqual({ Far: 'exceeds_time_budget', Unknown: 'detour_unavailable' });
+      expect(result.min_stops_met).toBe(false);
+    });
+
+    test('should cap the number of stops', () => {
+      const pois = Array.from({ length: 10 }, (_, i) => poi(`P${i}`, 50, 0));
+      const result = optimizePOISelection(pois, 600);
+
+      expect(result.selected).toHaveLength(MAX_ROUTE_POIS);
+      expect(result.dropped.every(d => d.reason === 'stop_limit_reached')).toBe(true);
+    });
+  });
+
+  describe('Route Preference Validation', () => {
+    // Mock preference validation function (extracted from api)
+    const SUPPORTED_DRIVING_SPEEDS = ['slow', 'normal', 'fast'];
+    const SUPPORTED_VEHICLE_TYPES = ['car', 'motorcycle', 'bicycle'];
+
+    function validateRoutePreferences(preferences) {
+      if (preferences.driving_speed !== undefined && !SUPPORTED_DRIVING_SPEEDS.includes(preferences.driving_speed)) {
+        return {
+          valid: false,
+          error: `Unsupported driving_speed: ${preferences.driving_speed}`,
+          details: { field: 'preferences.driving_speed', supported_values: SUPPORTED_DRIVING_SPEEDS }
+        };
+      }
+
+      if (preferences.vehicle_type !== undefined && !SUPPORTED_VEHICLE_TYPES.includes(preferences.vehicle_type)) {
+        return {
+          valid: false,
+          error: `Unsupported vehicle_type: ${preferences.vehicle_type}`,
+          details: { field: 'preferences.vehicle_type', supported_values: SUPPORTED_VEHICLE_TYPES }
+        };
+      }
+
+      for (const field of ['avoid_highways', 'avoid_tolls', 'avoid_ferries']) {
+        if (preferences[field] !== undefined && typeof preferences[field] !== 'boolean') {
+          return {
+            valid: false,
+            error: `${field} must be a boolean`,
+            details: { field: `preferences.${field}` }
+          };
+        }
+      }
+
+      return { valid: true };
+    }
+
+    test('should accept the default test preferences', () => {
+      expect(validateRoutePreferences(global.testData.validRouteRequest.preferences).valid).toBe(true);
+    });
+
+    test('should reject unsupported vehicle types', () => {
+      const result = validateRoutePreferences({ vehicle_type: 'hovercraft' });
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('vehicle_type');
+      expect(result.details.supported_values).toEqual(SUPPORTED_VEHICLE_TYPES);
+    });
+
+    test('should reject unsupported driving speeds', () => {
+      const result = validateRoutePreferences({ driving_speed: 'ludicrous' });
+      expect(result.valid).toBe(false);
+      expect(result.details.field).toBe('preferences.driving_speed');
+    });
+
+    test('should reject non-boolean avoid flags', () => {
+      expect(validateRoutePreferences({ avoid_tolls: 'yes' }).valid).toBe(false);
+      expect(validateRoutePreferences({ avoid_highways: true, avoid_ferries: false }).valid).toBe(true);
+    });
+  });
+
+
+  describe('OSRM Maneuver Mapping', () => {
+    // Mock maneuver mapping function (extracted from the OSRM maps provider)
+    function mapOsrmManeuverToGoogle(maneuver) {
+      const modifier = maneuver.modifier || 'straight';
+      const side = modifier.includes('left') ? 'left' : 'right';
+
+      switch (maneuver.type) {
+        case 'merge':
+          return 'merge';
+        case 'on ramp':
+        case 'off ramp':
+          return `ramp-${side}`;
+        case 'fork':
+          return `fork-${side}`;
+        case 'roundabout':
+        case 'rotary':
+        case 'roundabout turn':
+        case 'exit roundabout':
+        case 'exit rotary':
+          return `roundabout-${side}`;
+        case 'turn':
+        case 'end of road':
+        case 'continue':
+        case 'new name':
+          if (modifier === 'uturn') return 'uturn-left';
+          if (modifier === 'straight') return 'straight';
+          return `turn-${modifier.replace(' ', '-')}`;
+        default:
+          return undefined;
+      }
+    }
+
+    test('should map turns with modifiers to Google maneuvers', () => {
+      expect(mapOsrmManeuverToGoogle({ type: 'turn', modifier: 'left' })).toBe('turn-left');
+      expect(mapOsrmManeuverToGoogle({ type: 'turn', modifier: 'sharp right' })).toBe('turn-sharp-right');
+      expect(mapOsrmManeuverToGoogle({ type: 'continue', modifier: 'uturn' })).toBe('uturn-left');
+      expect(mapOsrmManeuverToGoogle({ type: 'new name' })).toBe('straight');
+    });
+
+    test('should map ramps, forks and roundabouts by side', () => {
+      expect(mapOsrmManeuverToGoogle({ type: 'off ramp', modifier: 'slight right' })).toBe('ramp-right');
+      expect(mapOsrmManeuverToGoogle({ type: 'fork', modifier: 'slight left' })).toBe('fork-left');
+      expect(mapOsrmManeuverToGoogle({ type: 'roundabout', modifier: 'right' })).toBe('roundabout-right');
+    });
+
+    test('should leave depart and notification steps unmapped', () => {
+      expect(mapOsrmManeuverToGoogle({ type: 'depart' })).toBeUndefined();
+      expect(mapOsrmManeuverToGoogle({ type: 'notification' })).toBeUndefined();
+    });
+  });
+
+
+  describe('Route Geometry Simplification', () => {
+    // Mock Douglas-Peucker simplification (extracted from route generation)
+    function calculateSegmentDistanceMeters(point, a, b) {
+      const metersPerDegreeLat = 111320;
+      const metersPerDegreeLng = metersPerDegreeLat * Math.cos(point[0] * Math.PI / 180);
+      const project = (coord) => [
+        (coord[1] - point[1]) * metersPerDegreeLng,
+        (coord[0] - point[0]) * metersPerDegreeLat
+      ];
+
+      const [ax, ay] = project(a);
+      const [bx, by] = project(b);
+      const dx = bx - ax;
+      const dy = by - ay;
+      const lengthSquared = dx * dx + dy * dy;
+      const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+
+      return Math.hypot(ax + t * dx, ay + t * dy);
+    }
+
+    function simplifyRouteIndexes(coordinates, toleranceMeters) {
+      if (toleranceMeters <= 0 || coordinates.length <= 2) {
+        return coordinates.map((_, i) => i);
+      }
+
+      const keep = new Array(coordinates.length).fill(false);
+      keep[0] = true;
+      keep[coordinates.length - 1] = true;
+
+      const ranges = [[0, coordinates.length - 1]];
+      while (ranges.length > 0) {
+        const [first, last] = ranges.pop();
+        let maxDistance = 0;
+        let maxIndex = -1;
+
+        for (let i = first + 1; i < last; i++) {
+          const distance = calculateSegmentDistanceMeters(coordinates[i], coordinates[first], coordinates[last]);
+          if (distance > maxDistance) {
+            maxDistance = distance;
+            maxIndex = i;
+          }
+        }
+
+        if (maxIndex >= 0 && maxDistance > toleranceMeters) {
+          keep[maxIndex] = true;
+          ranges.push([first, maxIndex], [maxIndex, last]);
+        }
+      }
+
+      return coordinates.map((_, i) => i).filter(i => keep[i]);
+    }
+
+    function findSimplifiedIndex(keptIndexes, index) {
+      let low = 0;
+      let high = keptIndexes.length - 1;
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (keptIndexes[mid] <= index) {
+          low = mid;
+        } else {
+          high = mid - 1;
+        }
+      }
+      return low;
+    }
+
+    test('should drop collinear points', () => {
+      const line = [[37.0, -122.0], [37.001, -122.0], [37.002, -122.0], [37.003, -122.0]];
+      expect(simplifyRouteIndexes(line, 2)).toEqual([0, 3]);
+    });
+
+    test('should keep a corner further than the tolerance', () => {
+      // ~89 m east of the straight line between the endpoints
+      const line = [[37.0, -122.0], [37.001, -121.999], [37.002, -122.0]];
+      expect(simplifyRouteIndexes(line, 10)).toEqual([0, 1, 2]);
+      expect(simplifyRouteIndexes(line, 100)).toEqual([0, 2]);
+    });
+
+    test('should return every point when the tolerance is zero', () => {
+      const line = [[37.0, -122.0], [37.001, -122.0], [37.002, -122.0]];
+      expect(simplifyRouteIndexes(line, 0)).toEqual([0, 1, 2]);
+    });
+
+    test('should remap full-resolution indexes onto the last kept point', () => {
+      const keptIndexes = [0, 4, 9, 15];
+      expect(findSimplifiedIndex(keptIndexes, 0)).toBe(0);
+      expect(findSimplifiedIndex(keptIndexes, 3)).toBe(0);
+      expect(findSimplifiedIndex(keptIndexes, 9)).toBe(2);
+      expect(findSimplifiedIndex(keptIndexes, 15)).toBe(3);
+    });
+
+    test('should measure distance to the segment, not the infinite line', () => {
+      const distance = calculateSegmentDistanceMeters([37.0, -122.0], [37.001, -122.0], [37.002, -122.0]);
+      expect(distance).toBeCloseTo(111.32, 1);
+    });
+  });
+
+
+  describe('Story Trigger Time Estimation', () => {
+    // Mock travel time interpolation (extracted from route generation)
+    function calculateDistanceMeters(from, to) {
+      const R = 6371000;
+      const dLat = (to[0] - from[0]) * Math.PI / 180;
+      const dLng = (to[1] - from[1]) * Math.PI / 180;
+      const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(from[0] * Math.PI / 180) * Math.cos(to[0] * Math.PI / 180) * Math.sin(dLng / 2) ** 2;
+      return 2 * R * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    function interpolateTravelTimes(coordinates, durationSeconds) {
+      const cumulativeDistances = [0];
+      for (let i = 1; i < coordinates.length; i++) {
+        cumulativeDistances.push(cumulativeDistances[i - 1] + calculateDistanceMeters(coordinates[i - 1], coordinates[i]));
+      }
+
+      const totalDistance = cumulativeDistances[cumulativeDistances.length - 1];
+      return cumulativeDistances.map(distance =>
+        totalDistance > 0 ? durationSeconds * (distance / totalDistance) : 0
+      );
+    }
+
+    // Join decoded step coordinates into one timeline, as decodeRouteGeometry does
+    function buildTimeline(steps) {
+      const coordinates = [];
+      const times = [];
+      let stepStartTime = 0;
+
+      for (const step of steps) {
+        const stepTimes = interpolateTravelTimes(step.coordinates, step.duration);
+        step.coordinates.forEach((point, i) => {
+          const last = coordinates[coordinates.length - 1];
+          if (!last || last[0] !== point[0] || last[1] !== point[1]) {
+            coordinates.push(point);
+            times.push(stepStartTime + stepTimes[i]);
+          }
+        });
+        stepStartTime += step.duration;
+      }
+      return { coordinates, times };
+    }
+
+    test('should spread a step duration in proportion to distance', () => {
+      const times = interpolateTravelTimes([[37.0, -122.0], [37.001, -122.0], [37.003, -122.0]], 90);
+      expect(times[0]).toBe(0);
+      expect(times[1]).toBeCloseTo(30, 5);
+      expect(times[2]).toBeCloseTo(90, 5);
+    });
+
+    test('should accumulate step durations across steps', () => {
+      const { coordinates, times } = buildTimeline([
+        { coordinates: [[37.0, -122.0], [37.01, -122.0]], duration: 60 },
+        { coordinates: [[37.01, -122.0], [37.01, -121.99]], duration: 120 }
+      ]);
+
+      // The shared joint point appears once
+      expect(coordinates).toHaveLength(3);
+      expect(times).toEqual([0, 60, 180]);
+    });
+
+    test('should scale trigger times by driving speed', () => {
+      const DRIVING_SPEED_TIME_FACTORS = { slow: 1.2, normal: 1.0, fast: 0.85 };
+      expect(Math.round(600 * DRIVING_SPEED_TIME_FACTORS.slow)).toBe(720);
+      expect(Math.round(600 * DRIVING_SPEED_TIME_FACTORS.fast)).toBe(510);
+    });
+  });
+
+
+  describe('POI Route Projection', () => {
+    // Mock route projection functions (extracted from route generation)
+    function calculateDistanceMeters(from, to) {
+      const R = 6371000;
+      const dLat = (to[0] - from[0]) * Math.PI / 180;
+      const dLng = (to[1] - from[1]) * Math.PI / 180;
+      const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(from[0] * Math.PI / 180) * Math.cos(to[0] * Math.PI / 180) * Math.sin(dLng / 2) ** 2;
+      return 2 * R * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    function projectOntoSegment(point, a, b) {
+      const metersPerDegreeLat = 111320;
+      const metersPerDegreeLng = metersPerDegreeLat * Math.cos(point[0] * Math.PI / 180);
+      const project = (coord) => [
+        (coord[1] - point[1]) * metersPerDegreeLng,
+        (coord[0] - point[0]) * metersPerDegreeLat
+      ];
+
+      const [ax, ay] = project(a);
+      const [bx, by] = project(b);
+      const dx = bx - ax;
+      const dy = by - ay;
+      const lengthSquared = dx * dx + dy * dy;
+      const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+
+      return { t, distance_meters: Math.hypot(ax + t * dx, ay + t * dy) };
+    }
+
+    function calculateCumulativeDistances(coordinates) {
+      const distances = [0];
+      for (let i = 1; i < coordinates.length; i++) {
+        distances.push(distances[i - 1] + calculateDistanceMeters(coordinates[i - 1], coordinates[i]));
+      }
+      return distances;
+    }
+
+    function projectOntoRoute(coordinates, cumulativeDistances, point) {
+      let best = { segment_index: 0, t: 0, distance_meters: Infinity };
+      for (let i = 0; i < coordinates.length - 1; i++) {
+        const projection = projectOntoSegment(point, coordinates[i], coordinates[i + 1]);
+        if (projection.distance_meters < best.distance_meters) {
+          best = { segment_index: i, ...projection };
+        }
+      }
+
+      const i = best.segment_index;
+      const totalDistance = cumulativeDistances[cumulativeDistances.length - 1];
+      const alongDistance = cumulativeDistances[i] + best.t * (cumulativeDistances[i + 1] - cumulativeDistances[i]);
+
+      return {
+        route_coordinate_index: best.t < 0.5 ? i : i + 1,
+        distance_from_route_meters: best.distance_meters,
+        route_fraction: totalDistance > 0 ? alongDistance / totalDistance : 0
+      };
+    }
+
+    // Straight route due north, ~333 m long
+    const route = [[37.0, -122.0], [37.001, -122.0], [37.002, -122.0], [37.003, -122.0]];
+    const cumulative = calculateCumulativeDistances(route);
+
+    test('should measure perpendicular distance from the route', () => {
+      // ~89 m east of the route, level with the second vertex
+      const projection = projectOntoRoute(route, cumulative, [37.001, -121.999]);
+      expect(projection.distance_from_route_meters).toBeCloseTo(88.9, 0);
+      expect(projection.route_coordinate_index).toBe(1);
+    });
+
+    test('should report the fraction along the route', () => {
+      const projection = projectOntoRoute(route, cumulative, [37.0015, -122.0005]);
+      expect(projection.route_fraction).toBeCloseTo(0.5, 2);
+    });
+
+    test('should clamp points beyond the route ends', () => {
+      const before = projectOntoRoute(route, cumulative, [36.999, -122.0]);
+      const after = projectOntoRoute(route, cumulative, [37.005, -122.0]);
+      expect(before.route_fraction).toBe(0);
+      expect(before.route_coordinate_index).toBe(0);
+      expect(after.route_fraction).toBeCloseTo(1, 5);
+      expect(after.route_coordinate_index).toBe(3);
+    });
+  });
+
+
+  describe('Story Playback Scheduling', () => {
+    const { scheduleStoryPlayback, storeScheduledStories, STORY_GAP_SECONDS } = storyPlayback;
+
+    const story = (story_id, priority, trigger_seconds) => ({ story_id, priority, trigger_seconds, duration_seconds: 90 });
+    const byId = (plan, id) => plan.stories.find(entry => entry.story_id === id);
+
+    test('should play well-spaced stories at their triggers', () => {
+      const plan = scheduleStoryPlayback([story('a', 5, 0), story('b', 5, 300)]);
+      expect(plan.stories.map(entry => entry.action)).toEqual(['play', 'play']);
+      expect(plan.total_playback_seconds).toBe(180);
+    });
+
+    test('should delay a lower-priority story that would overlap', () => {
+      const plan = scheduleStoryPlayback([story('a', 8, 0), story('b', 5, 60)]);
+      expect(byId(plan, 'a').action).toBe('play');
+      expect(byId(plan, 'b')).toMatchObject({ action: 'delay', start_seconds: 95, delay_seconds: 35 });
+    });
+
+    test('should give the higher-priority story its trigger time', () => {
+      const plan = scheduleStoryPlayback([story('a', 3, 0), story('b', 9, 60)]);
+      expect(byId(plan, 'b')).toMatchObject({ action: 'play', start_seconds: 60 });
+      expect(byId(plan, 'a').action).toBe('shorten');
+      expect(byId(plan, 'a').duration_seconds).toBe(55);
+    });
+
+    test('should drop a story with no room left', () => {
+      const plan = scheduleStoryPlayback([story('a', 9, 0), story('b', 9, 100), story('c', 2, 20)]);
+      expect(plan.dropped_story_ids).toEqual(['c']);
+      expect(plan.stories[plan.stories.length - 1].action).toBe('drop');
+    });
+
+    test('should never overlap scheduled stories', () => {
+      const plan = scheduleStoryPlayback([0, 30, 70, 100, 150, 400].map((t, i) => story(`s${i}`, 10 - i, t)));
+      const scheduled = plan.stories.filter(entry => entry.action !== 'drop');
+      for (let i = 1; i < scheduled.length; i++) {
+        const previous = scheduled[i - 1];
+        expect(scheduled[i].start_seconds).toBeGreaterThanOrEqual(
+          previous.start_seconds + previous.duration_seconds + STORY_GAP_SECONDS
+        );
+      }
+    });
+
+    // Fake Supabase client whose stories inserts fail for the given ids
+    const fakeStoriesClient = (failingIds) => {
+      const calls = { inserted: [], deleted: [], upserted: [] };
+      return {
+        calls,
+        from: () => ({
+          insert: async row => {
+            if (failingIds.includes(row.id)) return { error: { message: 'insert failed' } };
+            calls.inserted.push(row.id);
+            return { error: null };
+          },
+          delete: () => ({
+            in: async (_column, ids) => {
+              calls.deleted.push(...ids);
+              return { error: null };
+            }
+          }),
+          upsert: async rows => {
+            calls.upserted.push(...rows);
+            return { error: null };
+          }
+        })
+      };
+    };
+    const storyRow = (id, priority, estimated_trigger_time) => ({
+      id, title: id, priority, estimated_trigger_time, duration_seconds: 90, generation_metadata: { poi_score: 50 }
+    });
+
+    test('should delete the stories the plan drops and store playback on the rest', async () => {
+      const supabase = fakeStoriesClient([]);
+      const { stories, playbackPlan } = await storeScheduledStories(supabase, [
+        storyRow('a', 9, 0), storyRow('b', 9, 100), storyRow('c', 2, 20)
+      ]);
+
+      expect(playbackPlan.dropped_story_ids).toEqual(['c']);
+      expect(supabase.calls.deleted).toEqual(['c']);
+      expect(stories.map(row => row.id)).toEqual(['a', 'b']);
+      expect(supabase.calls.upserted.map(row => row.generation_metadata.playback))
+        .toEqual([{ action: 'play', start_seconds: 0 }, { action: 'play', start_seconds: 100 }]);
+    });
+
+    test('should schedule only the stories whose insert succeeded', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const supabase = fakeStoriesClient(['a']);
+      const { stories, playbackPlan } = await storeScheduledStories(supabase, [
+        storyRow('a', 9, 0), storyRow('b', 9, 100), storyRow('c', 2, 20)
+      ]);
+      console.error.mockRestore();
+
+      // Without 'a' holding 0-90, 'c' fits before 'b' instead of being dropped
+      expect(playbackPlan.stories.map(entry => entry.story_id)).toEqual(['c', 'b']);
+      expect(playbackPlan.dropped_story_ids).toEqual([]);
+      expect(supabase.calls.deleted).toEqual([]);
+      expect(stories.find(row => row.id === 'c')).toMatchObject({
+        duration_seconds: 75,
+        generation_metadata: { poi_score: 50, playback: { action: 'shorten', start_seconds: 20 } }
+      });
+    });
+  });
+
+
+  describe('Story Trigger Placement', () => {
+    const TRIGGER_RADIUS_SECONDS = 10;
+    const MIN_TRIGGER_RADIUS_METERS = 100;
+    const MAX_TRIGGER_RADIUS_METERS = 500;
+
+    // Mock trigger placement functions (extracted from route generation)
+    function placeTriggerPoint(routeData, cumulativeDistances, poiTravelSeconds, leadSeconds) {
+      const coordinates = routeData.coordinates;
+      const times = routeData.coordinate_times || [];
+      const targetTime = Math.max(0, poiTravelSeconds - leadSeconds);
+      const lastIndex = coordinates.length - 1;
+
+      let low = 0;
+      let high = Math.max(0, Math.min(lastIndex, times.length - 1));
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (times[mid] <= targetTime) {
+          low = mid;
+        } else {
+          high = mid - 1;
+        }
+      }
+
+      const next = Math.min(low + 1, lastIndex);
+      const segmentTime = (times[next] ?? 0) - (times[low] ?? 0);
+      const segmentDistance = cumulativeDistances[next] - cumulativeDistances[low];
+      const t = segmentTime > 0 ? Math.min(1, (targetTime - times[low]) / segmentTime) : 0;
+
+      const routeTime = times[times.length - 1] || 0;
+      const speed = segmentTime > 0
+        ? segmentDistance / segmentTime
+        : routeTime > 0 ? cumulativeDistances[cumulativeDistances.length - 1] / routeTime : 0;
+
+      return {
+        coordinate: [
+          coordinates[low][0] + t * (coordinates[next][0] - coordinates[low][0]),
+          coordinates[low][1] + t * (coordinates[next][1] - coordinates[low][1])
+        ],
+        route_coordinate_index: t < 0.5 ? low : next,
+        travel_time_seconds: times.length ? times[low] + t * segmentTime : 0,
+        speed_mps: speed
+      };
+    }
+
+    function calculateTriggerRadius(speedMps) {
+      return Math.round(Math.min(
+        MAX_TRIGGER_RADIUS_METERS,
+        Math.max(MIN_TRIGGER_RADIUS_METERS, speedMps * TRIGGER_RADIUS_SECONDS)
+      ));
+    }
+
+    // City segment (1 km in 100 s) followed by a highway segment (3 km in 100 s)
+    const routeData = {
+      coordinates: [[37.0, -122.0], [37.009, -122.0], [37.036, -122.0]],
+      coordinate_times: [0, 100, 200]
+    };
+    const cumulativeDistances = [0, 1000, 4000];
+
+    test('should place the trigger the story length before the POI', () => {
+      const trigger = placeTriggerPoint(routeData, cumulativeDistances, 200, 90);
+      expect(trigger.travel_time_seconds).toBeCloseTo(110, 5);
+      expect(trigger.coordinate[0]).toBeCloseTo(37.0117, 4);
+      expect(trigger.route_coordinate_index).toBe(1);
+    });
+
+    test('should report the segment speed at the trigger', () => {
+      expect(placeTriggerPoint(routeData, cumulativeDistances, 60, 30).speed_mps).toBeCloseTo(10, 5);
+      expect(placeTriggerPoint(routeData, cumulativeDistances, 200, 30).speed_mps).toBeCloseTo(30, 5);
+    });
+
+    test('should clamp triggers to the route start', () => {
+      const trigger = placeTriggerPoint(routeData, cumulativeDistances, 40, 90);
+      expect(trigger.travel_time_seconds).toBe(0);
+      expect(trigger.coordinate).toEqual([37.0, -122.0]);
+    });
+
+    test('should widen the trigger radius with speed', () => {
+      expect(calculateTriggerRadius(5)).toBe(100);
+      expect(calculateTriggerRadius(13.9)).toBe(139);
+      expect(calculateTriggerRadius(31)).toBe(310);
+      expect(calculateTriggerRadius(80)).toBe(500);
+    });
+  });
+
+
+  describe('Interest-Driven POI Matching', () => {
+    const INTEREST_MATCH_BOOST = 15;
+    const INTEREST_CATEGORIES = {
+      history: { types: ['museum', 'church', 'cemetery', 'synagogue', 'hindu_temple', 'mosque'] },
+      technology: { types: ['university'] },
+      nature: { types: ['park', 'natural_feature', 'campground', 'zoo', 'aquarium'] }
+    };
+
+    // Mock interest matching function (extracted from route generation)
+    function matchPOIInterests(placeTypes, searchInterests, interests) {
+      return interests.filter(interest =>
+        searchInterests.has(interest) ||
+        INTEREST_CATEGORIES[interest].types.some(type => placeTypes.includes(type))
+      );
+    }
+
+    test('should match interests by the search that found the place', () => {
+      const matched = matchPOIInterests(['point_of_interest'], new Set(['technology']), ['history', 'technology']);
+      expect(matched).toEqual(['technology']);
+    });
+
+    test('should match interests by Places type in the user\'s order', () => {
+      const matched = matchPOIInterests(['museum', 'park'], new Set(), ['nature', 'history']);
+      expect(matched).toEqual(['nature', 'history']);
+    });
+
+    test('should not match places outside the user\'s interests', () => {
+      expect(matchPOIInterests(['museum'], new Set(), ['nature'])).toEqual([]);
+      expect(matchPOIInterests(['museum'], new Set(), [])).toEqual([]);
+    });
+
+    test('should boost matching POIs without exceeding 100', () => {
+      const boost = (score, matched) => Math.min(100, score + (matched.length > 0 ? INTEREST_MATCH_BOOST : 0));
+      expect(boost(60, ['history'])).toBe(75);
+      expect(boost(60, [])).toBe(60);
+      expect(boost(95, ['nature'])).toBe(100);
+    });
+  });
+
+
+  describe('Adaptive POI Search Sampling', () => {
+    const POI_SAMPLE_SPACING_METERS = 10000;
+    const MIN_POI_SAMPLE_SPACING_METERS = 2000;
+    const MIN_POI_SAMPLES = 5;
+
+    // Mock sampling functions (extracted from route generation)
+    function sampleRouteByDistance(coordinates, cumulativeDistances, spacingMeters) {
+      const totalDistance = cumulativeDistances[cumulativeDistances.length - 1] || 0;
+      if (coordinates.length === 0) return [];
+      if (totalDistance === 0) return [coordinates[0]];
+
+      const samples = [];
+      let segment = 0;
+      for (let target = 0; target < totalDistance; target += spacingMeters) {
+        while (segment < coordinates.length - 2 && cumulativeDistances[segment + 1] < target) {
+          segment++;
+        }
+        const segmentLength = cumulativeDistances[segment + 1] - cumulativeDistances[segment];
+        const t = segmentLength > 0 ? (target - cumulativeDistances[segment]) / segmentLength : 0;
+        samples.push([
+          coordinates[segment][0] + t * (coordinates[segment + 1][0] - coordinates[segment][0]),
+          coordinates[segment][1] + t * (coordinates[segment + 1][1] - coordinates[segment][1])
+        ]);
+      }
+      samples.push(coordinates[coordinates.length - 1]);
+      return samples;
+    }
+
+    function calculatePOISampleSpacing(totalDistanceMeters) {
+      return Math.max(
+        MIN_POI_SAMPLE_SPACING_METERS,
+        Math.min(POI_SAMPLE_SPACING_METERS, totalDistanceMeters / (MIN_POI_SAMPLES - 1))
+      );
+    }
+
+    function selectSpreadCandidatePOIs(pois, bucketCount, limit) {
+      const buckets = Array.from({ length: Math.max(1, bucketCount) }, () => []);
+      for (const poi of [...pois].sort((a, b) => b.popularity_score - a.popularity_score)) {
+        const fraction = poi.metadata?.route_fraction || 0;
+        buckets[Math.min(buckets.length - 1, Math.floor(fraction * buckets.length))].push(poi);
+      }
+
+      const selected = [];
+      while (selected.length < limit && buckets.some(bucket => bucket.length > 0)) {
+        for (const bucket of buckets) {
+          if (bucket.length > 0 && selected.length < limit) {
+            selected.push(bucket.shift());
+          }
+        }
+      }
+      return selected.sort((a, b) => b.popularity_score - a.popularity_score);
+    }
+
+    test('should sample every spacing along the route and at the end', () => {
+      // Two segments of 10 km and 15 km
+      const samples = sampleRouteByDistance([[0, 0], [0, 1], [0, 2.5]], [0, 10000, 25000], 10000);
+      expect(samples).toEqual([[0, 0], [0, 1], [0, 2], [0, 2.5]]);
+    });
+
+    test('should scale the number of samples with route length', () => {
+      expect(calculatePOISampleSpacing(10000)).toBe(2500);
+      expect(calculatePOISampleSpacing(400000)).toBe(10000);
+      expect(calculatePOISampleSpacing(3000)).toBe(2000);
+    });
+
+    test('should spread candidates along the route', () => {
+      // Many high-scoring POIs near the start, one weaker POI near the end
+      const pois = [
+        ...Array.from({ length: 5 }, (_, i) => ({ id: `start${i}`, popularity_score: 90 - i, metadata: { route_fraction: 0.05 } })),
+        { id: 'end', popularity_score: 40, metadata: { route_fraction: 0.95 } }
+      ];
+      const selected = selectSpreadCandidatePOIs(pois, 4, 3);
+      expect(selected.map(poi => poi.id)).toEqual(['start0', 'start1', 'end']);
+    });
+  });
+
+  describe('Concurrency Helpers', () => {
+    // Mock helpers (extracted from _shared/concurrency.ts)
+    function createRateLimiter(maxPerSecond) {
+      const intervalMs = 1000 / maxPerSecond;
+      let nextSlotMs = 0;
+
+      return async () => {
+        const now = Date.now();
+        const slot = Math.max(now, nextSlotMs);
+        nextSlotMs = slot + intervalMs;
+
+        if (slot > now) {
+          await new Promise(resolve => setTimeout(resolve, slot - now));
+        }
+      };
+    }
+
+    async function mapWithConcurrency(items, limit, fn) {
+      const results = new Array(items.length);
+      let nextIndex = 0;
+
+      const worker = async () => {
+        while (nextIndex < items.length) {
+          const index = nextIndex++;
+          results[index] = await fn(items[index], index);
+        }
+      };
+
+      await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+      return results;
+    }
+
+    test('should cap calls in flight and keep result order', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (delay) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        inFlight--;
+        return delay * 2;
+      });
+
+      expect(maxInFlight).toBe(2);
+      expect(results).toEqual([60, 20, 40, 10, 30]);
+    });
+
+    test('should space calls to the configured rate', async () => {
+      const waitForQuota = createRateLimiter(100); // One call every 10 ms
+      const start = Date.now();
+      for (let i = 0; i < 5; i++) {
+        await waitForQuota();
+      }
+      expect(Date.now() - start).toBeGreaterThanOrEqual(35);
+    });
+  });
+
+
+  describe('Stored POI Reuse', () => {
+    const POI_FRESHNESS_DAYS = 30;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Mock stored POI helpers (extracted from route generation)
+    function isStoredPOIFresh(stored) {
+      const updatedAt = Date.parse(stored.last_updated);
+      return !isNaN(updatedAt) && Date.now() - updatedAt < POI_FRESHNESS_DAYS * 24 * 60 * 60 * 1000;
+    }
+
+    function storedPOIToPlace(stored) {
+      const place = stored.metadata?.google_data;
+      return {
+        ...place,
+        place_id: stored.google_place_id,
+        name: stored.name,
+        geometry: { location: { lat: stored.latitude, lng: stored.longitude } },
+        types: place?.types || [stored.poi_type],
+        rating: place?.rating ?? Number(stored.google_rating || 0),
+        user_ratings_total: place?.user_ratings_total ?? stored.review_count ?? 0
+      };
+    }
+
+    const storedPOI = (overrides) => ({
+      google_place_id: 'place-1',
+      name: 'Stanford University',
+      latitude: 37.4275,
+      longitude: -122.1697,
+      poi_type: 'university',
+      google_rating: 4.6,
+      review_count: 3200,
+      metadata: {},
+      last_updated: new Date().toISOString(),
+      ...overrides
+    });
+
+    test('should treat recently refreshed POIs as fresh', () => {
+      expect(isStoredPOIFresh(storedPOI({}))).toBe(true);
+      expect(isStoredPOIFresh(storedPOI({ last_updated: new Date(Date.now() - 45 * DAY_MS).toISOString() }))).toBe(false);
+      expect(isStoredPOIFresh(storedPOI({ last_updated: null }))).toBe(false);
+    });
+
+    test('should rebuild a Places result from table columns', () => {
+      const place = storedPOIToPlace(storedPOI({}));
+      expect(place.place_id).toBe('place-1');
+      expect(place.geometry.location).toEqual({ lat: 37.4275, lng: -122.1697 });
+      expect(place.types).toEqual(['university']);
+      expect(place.rating).toBe(4.6);
+    });
+
+    test('should prefer stored Places data for types and ratings', () => {
+      const place = storedPOIToPlace(storedPOI({
+        metadata: { google_data: { types: ['university', 'point_of_interest'], rating: 4.8, user_ratings_total: 5000 } }
+      }));
+      expect(place.types).toEqual(['university', 'point_of_interest']);
+      expect(place.user_ratings_total).toBe(5000);
+    });
+  });
+
+
+  describe('Geocode Cache Keys and Locality', () => {
+    // Mock geocode cache helpers (extracted from _shared/maps/geocode-cache.ts)
+    function normalizeGeocodeQuery(address) {
+      return 'forward:' + address
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .replace(/\s*,\s*/g, ',')
+        .replace(/[.,;\s]+$/, '')
+        .trim();
+    }
+
+    function normalizeReverseGeocodeQuery([lat, lng]) {
+      return `reverse:${lat.toFixed(3)},${lng.toFixed(3)}`;
+    }
+
+    function describeLocality(result) {
+      const components = result?.address_components || [];
+      const find = (...types) =>
+        components.find(component => types.some(type => component.types?.includes(type)));
+
+      return {
+        locality: find('locality', 'postal_town', 'sublocality', 'administrative_area_level_2')?.long_name || null,
+        region: find('administrative_area_level_1')?.long_name || null,
+        country: find('country')?.long_name || null
+      };
+    }
+
+    test('should give equivalent addresses the same key', () => {
+      const key = normalizeGeocodeQuery('Palo Alto, CA');
+      expect(key).toBe('forward:palo alto,ca');
+      expect(normalizeGeocodeQuery('  palo   alto ,CA. ')).toBe(key);
+    });
+
+    test('should round reverse lookups to nearby coordinates', () => {
+      expect(normalizeReverseGeocodeQuery([37.44191, -122.14302]))
+        .toBe(normalizeReverseGeocodeQuery([37.44189, -122.14298]));
+      expect(normalizeReverseGeocodeQuery([37.4419, -122.143])).toBe('reverse:37.442,-122.143');
+    });
+
+    test('should read locality, region and country from address components', () => {
+      const result = {
+        address_components: [
+          { long_name: '250', types: ['street_number'] },
+          { long_name: 'Palo Alto', types: ['locality', 'political'] },
+          { long_name: 'Santa Clara County', types: ['administrative_area_level_2', 'political'] },
+          { long_name: 'California', types: ['administrative_area_level_1', 'political'] },
+          { long_name: 'United States', types: ['country', 'political'] }
+        ]
+      };
+      expect(describeLocality(result)).toEqual({
+        locality: 'Palo Alto',
+        region: 'California',
+        country: 'United States'
+      });
+    });
+
+    test('should return nulls without a result', () => {
+      expect(describeLocality(null)).toEqual({ locality: null, region: null, country: null });
+    });
+  });
+
+
+  describe('Route Generation Progress', () => {
+    // Mock progress helpers (extracted from generate-route/index.ts)
+    const ROUTE_PROGRESS = {
+      created: 10,
+      route_calculated: 30,
+      stories_planned: 40,
+      alternatives_generated: 45,
+      route_stored: 50
+    };
+
+    function interpolateProgress(from, to, share) {
+      return Math.round(from + (to - from) * Math.min(Math.max(share, 0), 1));
+    }
+
+    test('should advance through alternatives between stages', () => {
+      const steps = [1, 2].map(i =>
+        interpolateProgress(ROUTE_PROGRESS.stories_planned, ROUTE_PROGRESS.alternatives_generated, i / 2)
+      );
+      expect(steps).toEqual([43, 45]);
+    });
+
+    test('should stay within the stage bounds', () => {
+      expect(interpolateProgress(70, 95, -1)).toBe(70);
+      expect(interpolateProgress(70, 95, 2)).toBe(95);
+    });
+
+    test('should keep stages increasing and leave the second half to stories', () => {
+      const values = Object.values(ROUTE_PROGRESS);
+      expect([...values].sort((a, b) => a - b)).toEqual(values);
+      // The rest of the way to 100 is story content and audio
+      expect(Math.max(...values)).toBe(50);
+    });
+  });
+
+
+  describe('Generation Job Retries', () => {
+    // Mock retry helpers (extracted from process-jobs/index.ts)
+    const RETRY_BASE_DELAY_SECONDS = 30;
+    const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+
+    function calculateRetryDelaySeconds(attempts) {
+      return Math.min(RETRY_BASE_DELAY_SECONDS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_SECONDS);
+    }
+
+    function isRetryableStatus(status) {
+      return status >= 500 || status === 429 || status === 408;
+    }
+
+    function buildFailureUpdate(job, error, retryable) {
+      if (!retryable || job.attempts >= job.max_attempts) {
+        return { status: 'dead_letter', last_error: error };
+      }
+
+      return {
+        status: 'queued',
+        last_error: error,
+        visible_at: new Date(Date.now() + calculateRetryDelaySeconds(job.attempts) * 1000).toISOString()
+      };
+    }
+
+    test('should double the delay after each attempt up to the cap', () => {
+      expect([1, 2, 3, 4].map(calculateRetryDelaySeconds)).toEqual([30, 60, 120, 240]);
+      expect(calculateRetryDelaySeconds(20)).toBe(MAX_RETRY_DELAY_SECONDS);
+    });
+
+    test('should retry server errors and rate limits but not bad requests', () => {
+      expect(isRetryableStatus(500)).toBe(true);
+      expect(isRetryableStatus(503)).toBe(true);
+      expect(isRetryableStatus(429)).toBe(true);
+      expect(isRetryableStatus(400)).toBe(false);
+      expect(isRetryableStatus(404)).toBe(false);
+    });
+
+    test('should requeue a failed job with backoff while attempts remain', () => {
+      const before = Date.now();
+      const update = buildFailureUpdate({ attempts: 2, max_attempts: 5 }, 'timeout', true);
+
+      expect(update.status).toBe('queued');
+      expect(update.last_error).toBe('timeout');
+      expect(new Date(update.visible_at).getTime()).toBeGreaterThanOrEqual(before + 60 * 1000);
+    });
+
+    test('should dead-letter a job on its last attempt or a permanent failure', () => {
+      expect(buildFailureUpdate({ attempts: 5, max_attempts: 5 }, 'boom', true).status).toBe('dead_letter');
+      expect(buildFailureUpdate({ attempts: 1, max_attempts: 5 }, 'bad payload', false).status).toBe('dead_letter');
+    });
+  });
+
+
+  describe('Request Fingerprinting', () => {
+    const { normalizeRouteOptions, resolveTrafficBucket, stableStringify } = routeKeys;
+
+    // Mock fingerprint input (extracted from generate-route/index.ts)
+    const FINGERPRINT_COORDINATE_DECIMALS = 4;
+
+    // The string buildRequestFingerprint hashes
+    const fingerprintInput = (requestData, start = [37.4419, -122.143], end = [37.3688, -122.0363]) => {
+      const round = coords => coords.map(value => Number(value.toFixed(FINGERPRINT_COORDINATE_DECIMALS)));
+      return stableStringify({
+        start: round(start),
+        end: round(end),
+        via: [],
+        options: normalizeRouteOptions(requestData),
+        simplify_tolerance_meters: requestData.simplify_tolerance_meters ?? routeKeys.DEFAULT_SIMPLIFY_TOLERANCE_METERS
+      });
+    };
+
+    test('should serialize objects independently of key order', () => {
+      expect(stableStringify({ b: 1, a: [2, { d: 3, c: 4 }] }))
+        .toBe(stableStringify({ a: [2, { c: 4, d: 3 }], b: 1 }));
+      expect(stableStringify({ a: 1, b: undefined })).toBe('{"a":1}');
+    });
+
+    test('should match requests that differ only in ordering, defaults or GPS jitter', () => {
+      const original = fingerprintInput({
+        preferences: { interests: ['history', 'art'], driving_speed: 'normal' }
+      });
+      const retry = fingerprintInput({
+        simplify_tolerance_meters: 2,
+        preferences: { driving_speed: 'normal', interests: ['art', 'history'] }
+      }, [37.44191, -122.14302]);
+
+      expect(retry).toBe(original);
+    });
+
+    test('should tell apart requests with different preferences or ends', () => {
+      const base = fingerprintInput({ preferences: { interests: ['history'] } });
+
+      expect(fingerprintInput({ preferences: { interests: ['food'] } })).not.toBe(base);
+      expect(fingerprintInput({ preferences: { interests: ['history'] } }, [37.45, -122.143])).not.toBe(base);
+      expect(fingerprintInput({ alternatives: 3, preferences: { interests: ['history'] } })).not.toBe(base);
+      expect(fingerprintInput({ simplify_tolerance_meters: 0, preferences: { interests: ['history'] } })).not.toBe(base);
+    });
+
+    test('should only key on the context fields that change the route', () => {
+      const options = normalizeRouteOptions({ context: { time_of_day: 'morning', trip_purpose: 'commute', group_size: 2 } });
+
+      expect(options).toEqual(normalizeRouteOptions({ context: { time_of_day: 'morning', trip_purpose: 'tourism' } }));
+      expect(options.traffic_bucket).toBe('morning');
+      expect(normalizeRouteOptions({ context: { group_size: 4 } })).toEqual(normalizeRouteOptions({}));
+      expect(normalizeRouteOptions({ simplify_tolerance_meters: 0 })).toEqual(normalizeRouteOptions({}));
+    });
+
+    test('should fill in default preferences and drop unknown ones', () => {
+      const omitted = normalizeRouteOptions({ preferences: { interests: ['history'] } });
+
+      expect(normalizeRouteOptions({
+        preferences: {
+          interests: ['history'],
+          max_time_increase_percent: 20,
+          driving_speed: 'normal',
+          vehicle_type: 'car',
+          avoid_highways: false,
+          avoid_tolls: false,
+          avoid_ferries: false
+        }
+      })).toEqual(omitted);
+      expect(normalizeRouteOptions({ preferences: { interests: ['history'], favorite_color: 'blue' } })).toEqual(omitted);
+      expect(normalizeRouteOptions({})).toEqual(normalizeRouteOptions({ preferences: { interests: [] } }));
+      expect(normalizeRouteOptions({ preferences: { interests: ['history'], avoid_tolls: true } })).not.toEqual(omitted);
+    });
+
+    test('should key departures on their local traffic bucket', () => {
+      // 10:30 in San Francisco (PST)
+      const now = new Date('2024-12-02T18:30:00Z');
+
+      expect(resolveTrafficBucket({ departure_time: '2024-12-03T16:10:00Z' }, now)).toBe('morning');
+      expect(resolveTrafficBucket({ departure_time: '2024-12-03T16:40:00Z' }, now)).toBe('morning');
+      expect(resolveTrafficBucket({ departure_time: 'now' }, now)).toBe('morning');
+      expect(resolveTrafficBucket({ departure_time: '2024-12-03T01:30:00Z' }, now)).toBe('evening');
+      expect(resolveTrafficBucket({ departure_time: '2024-12-03T09:00:00Z' }, now)).toBe('night');
+      expect(resolveTrafficBucket({ departure_time: '2024-12-03T09:00:00Z', context: { timezone: 'Europe/London' } }, now))
+        .toBe('morning');
+      expect(resolveTrafficBucket({ departure_time: '2024-12-03T16:10:00Z', context: { time_of_day: 'evening' } }, now))
+        .toBe('morning');
+      expect(normalizeRouteOptions({ departure_time: '2024-12-03T16:10:00Z' }, now))
+        .toEqual(normalizeRouteOptions({ context: { time_of_day: 'morning' } }, now));
+    });
+  });
+
+
+  describe('Route Cache Keys', () => {
+    const { encodeGeohash, ROUTE_CACHE_GEOHASH_PRECISION } = routeKeys;
+
+    test('should encode the reference geohash', () => {
+      expect(encodeGeohash(57.64911, 10.40744, 11)).toBe('u4pruydqqvj');
+      expect(encodeGeohash(37.4419, -122.143, 5)).toBe('9q9jh');
+    });
+
+    test('should put points a few meters apart in the same cell', () => {
+      const cell = encodeGeohash(37.44191, -122.14302, ROUTE_CACHE_GEOHASH_PRECISION);
+      expect(encodeGeohash(37.44195, -122.14298, ROUTE_CACHE_GEOHASH_PRECISION)).toBe(cell);
+      expect(cell).toHaveLength(7);
+    });
+
+    test('should put points a kilometer apart in different cells', () => {
+      expect(encodeGeohash(37.4419, -122.143, ROUTE_CACHE_GEOHASH_PRECISION))
+        .not.toBe(encodeGeohash(37.4509, -122.143, ROUTE_CACHE_GEOHASH_PRECISION));
+    });
+  });
+
+  describe('Route Pre-generation', () => {
+    // Mock pre-generation checks (extracted from pregenerate-routes/index.ts)
+    const CACHE_COVERAGE_HOURS = 18;
+    const IN_FLIGHT_WINDOW_MINUTES = 60;
+    const OFF_PEAK_HOURS = [1, 5];
+
+    function isOffPeakHour(date, timezone) {
+      const hour = Number(new Intl.DateTimeFormat('en-US', { timeZone: timezone, hour: 'numeric', hourCycle: 'h23' }).format(date));
+      return hour >= OFF_PEAK_HOURS[0] && hour < OFF_PEAK_HOURS[1];
+    }
+
+    function classifyCorridorCache(routes, now) {
+      const coveredUntil = now.getTime() + CACHE_COVERAGE_HOURS * 60 * 60 * 1000;
+      const inFlightSince = now.getTime() - IN_FLIGHT_WINDOW_MINUTES * 60 * 1000;
+
+      if (routes.some(route => route.status === 'completed' && route.cache_expires_at && (
+        new Date(route.cache_expires_at).getTime() > coveredUntil ||
+        (route.departure_time && new Date(route.departure_time).getTime() > now.getTime())
+      ))) {
+        return 'fresh';
+      }
+      if (routes.some(route => route.status === 'processing' && new Date(route.created_at).getTime() > inFlightSince)) {
+        return 'in_flight';
+      }
+      return 'stale';
+    }
+
+    const now = new Date('2024-12-02T10:00:00Z');
+    const hoursFromNow = hours => new Date(now.getTime() + hours * 60 * 60 * 1000).toISOString();
+
+    test('should treat 10:00 UTC as off-peak in Pacific time all year', () => {
+      expect(isOffPeakHour(new Date('2024-12-02T10:00:00Z'), 'America/Los_Angeles')).toBe(true);
+      expect(isOffPeakHour(new Date('2024-07-02T10:00:00Z'), 'America/Los_Angeles')).toBe(true);
+      expect(isOffPeakHour(new Date('2024-12-02T17:00:00Z'), 'America/Los_Angeles')).toBe(false);
+    });
+
+    test('should skip corridors cached through the evening peak', () => {
+      expect(classifyCorridorCache([{ status: 'completed', cache_expires_at: hoursFromNow(20) }], now)).toBe('fresh');
+    });
+
+    test('should regenerate corridors whose cache expires before the evening peak', () => {
+      expect(classifyCorridorCache([{ status: 'completed', cache_expires_at: hoursFromNow(6) }], now)).toBe('stale');
+      expect(classifyCorridorCache([], now)).toBe('stale');
+    });
+
+    test('should skip traffic routes for a peak still ahead and regenerate past ones', () => {
+      expect(classifyCorridorCache([
+        { status: 'completed', departure_time: hoursFromNow(6), cache_expires_at: hoursFromNow(9) }
+      ], now)).toBe('fresh');
+      expect(classifyCorridorCache([
+        { status: 'completed', departure_time: hoursFromNow(-1), cache_expires_at: hoursFromNow(2) }
+      ], now)).toBe('stale');
+    });
+
+    test('should leave recent generations running and retry abandoned ones', () => {
+      expect(classifyCorridorCache([{ status: 'processing', created_at: hoursFromNow(-0.5) }], now)).toBe('in_flight');
+      expect(classifyCorridorCache([{ status: 'processing', created_at: hoursFromNow(-3) }], now)).toBe('stale');
+    });
+  });
+
+  describe('Stale Story Refresh', () => {
+    // Mock refresh planning (extracted from api/index.ts)
+    const DROPPED_STORY_REASONS = ['poi_closed', 'poi_deleted'];
+
+    function planStoryRefresh(invalidations) {
+      const droppedIds = new Set(invalidations
+        .filter(invalidation => invalidation.story_id && DROPPED_STORY_REASONS.includes(invalidation.reason))
+        .map(invalidation => invalidation.story_id));
+      const regeneratedIds = [...new Set(invalidations
+        .filter(invalidation => invalidation.story_id && !droppedIds.has(invalidation.story_id))
+        .map(invalidation => invalidation.story_id))];
+
+      return { droppedIds, regeneratedIds };
+    }
+
+    test('should regenerate edited and re-scored stories once each', () => {
+      const { droppedIds, regeneratedIds } = planStoryRefresh([
+        { story_id: 'story-1', reason: 'poi_edited' },
+        { story_id: 'story-1', reason: 'poi_rescored' },
+        { story_id: 'story-2', reason: 'poi_rescored' }
+      ]);
+
+      expect(regeneratedIds).toEqual(['story-1', 'story-2']);
+      expect(droppedIds.size).toBe(0);
+    });
+
+    test('should drop stories about closed or deleted POIs even when also edited', () => {
+      const { droppedIds, regeneratedIds } = planStoryRefresh([
+        { story_id: 'story-1', reason: 'poi_edited' },
+        { story_id: 'story-1', reason: 'poi_closed' },
+        { story_id: 'story-2', reason: 'poi_deleted' }
+      ]);
+
+      expect([...droppedIds]).toEqual(['story-1', 'story-2']);
+      expect(regeneratedIds).toEqual([]);
+    });
+
+    test('should skip invalidations whose story is already gone', () => {
+      const { droppedIds, regeneratedIds } = planStoryRefresh([{ story_id: null, reason: 'poi_edited' }]);
+
+      expect(droppedIds.size).toBe(0);
+      expect(regeneratedIds).toEqual([]);
+    });
+  });
+
+  describe('Departure Time Resolution', () => {
+    // Mock departure resolution and traffic durations (extracted from generate-route/index.ts)
+    const TIME_OF_DAY_DEPARTURE_HOURS = { morning: 8, afternoon: 14, evening: 17, night: 22 };
+    const DEFAULT_DEPARTURE_TIMEZONE = 'America/Los_Angeles';
+
+    function resolveDepartureTime(requestData, now) {
+      if (requestData.departure_time) {
+        const departure = requestData.departure_time === 'now' ? now : new Date(requestData.departure_time);
+        return departure.getTime() > now.getTime() ? departure : now;
+      }
+
+      const bucketHour = TIME_OF_DAY_DEPARTURE_HOURS[requestData.context?.time_of_day || ''];
+      if (bucketHour === undefined) {
+        return null;
+      }
+
+      const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: requestData.context?.timezone || DEFAULT_DEPARTURE_TIMEZONE,
+        hour: 'numeric',
+        minute: 'numeric',
+        hourCycle: 'h23'
+      }).formatToParts(now);
+      const localMinutes = Number(parts.find(part => part.type === 'hour').value) * 60 +
+        Number(parts.find(part => part.type === 'minute').value);
+      const minutesAhead = (bucketHour * 60 - localMinutes + 24 * 60) % (24 * 60);
+
+      const departure = new Date(now.getTime() + minutesAhead * 60 * 1000);
+      departure.setUTCSeconds(0, 0);
+      return departure.getTime() > now.getTime() ? departure : now;
+    }
+
+    function getTravelSeconds(element) {
+      return element.duration_in_traffic?.value ?? element.duration.value;
+    }
+
+    // 10:30 in San Francisco (PST)
+    const now = new Date('2024-12-02T18:30:00Z');
+
+    test('should route free-flow without a departure time or bucket', () => {
+      expect(resolveDepartureTime({}, now)).toBeNull();
+      expect(resolveDepartureTime({ context: { trip_purpose: 'commute' } }, now)).toBeNull();
+    });
+
+    test('should use an explicit departure time, departing now instead of in the past', () => {
+      expect(resolveDepartureTime({ departure_time: '2024-12-03T16:00:00Z' }, now).toISOString())
+        .toBe('2024-12-03T16:00:00.000Z');
+      expect(resolveDepartureTime({ departure_time: '2024-12-02T18:28:00Z' }, now)).toBe(now);
+      expect(resolveDepartureTime({ departure_time: 'now' }, now)).toBe(now);
+    });
+
+    test('should depart at the next start of the time_of_day bucket in local time', () => {
+      // Afternoon is later today, morning is tomorrow
+      expect(resolveDepartureTime({ context: { time_of_day: 'afternoon' } }, now).toISOString())
+        .toBe('2024-12-02T22:00:00.000Z');
+      expect(resolveDepartureTime({ context: { time_of_day: 'morning' } }, now).toISOString())
+        .toBe('2024-12-03T16:00:00.000Z');
+      expect(resolveDepartureTime({ context: { time_of_day: 'morning', timezone: 'Europe/London' } }, now).toISOString())
+        .toBe('2024-12-03T08:00:00.000Z');
+    });
+
+    test('should prefer traffic durations when Directions predicted them', () => {
+      expect(getTravelSeconds({ duration: { value: 1200 }, duration_in_traffic: { value: 1500 } })).toBe(1500);
+      expect(getTravelSeconds({ duration: { value: 1200 } })).toBe(1200);
+    });
+  });
+
+  describe('Turn-by-Turn Instructions', () => {
+    // Mock road name and spoken guidance helpers (extracted from generate-route/index.ts)
+    const SPOKEN_MANEUVER_PHRASES = {
+      depart: 'Start',
+      continue_straight: 'Continue',
+      turn_left: 'Turn left',
+      turn_right: 'Turn right',
+      ramp_right: 'Take the ramp on the right',
+      roundabout_left: 'At the roundabout, exit',
+      roundabout_right: 'At the roundabout, exit',
+      ferry: 'Board the ferry',
+      ferry_train: 'Board the car train'
+    };
+
+    function extractRoadName(htmlInstructions) {
+      const match = htmlInstructions.match(/\b(?:onto|on|follow)\s+(?:the\s+)?<b>([^<]+)<\/b>/);
+      return match ? match[1].trim() : null;
+    }
+
+    function buildSpokenInstruction(maneuverType, roadName, htmlInstructions) {
+      if (maneuverType === 'ferry' || maneuverType === 'ferry_train') {
+        return SPOKEN_MANEUVER_PHRASES[maneuverType];
+      }
+
+      const isRoundabout = maneuverType.startsWith('roundabout_');
+      const exit = htmlInstructions.match(/take the <b>(\w+)<\/b> exit/)?.[1];
+      const phrase = isRoundabout && exit
+        ? `At the roundabout, take the ${exit} exit`
+        : SPOKEN_MANEUVER_PHRASES[maneuverType] || 'Continue';
+
+      if (!roadName) {
+        return isRoundabout && !exit ? 'Enter the roundabout' : phrase;
+      }
+      return `${phrase} ${maneuverType === 'depart' || maneuverType === 'continue_straight' ? 'on' : 'onto'} ${roadName}`;
+    }
+
+    test('should extract the road a step follows', () => {
+      expect(extractRoadName('Head <b>north</b> on <b>University Ave</b> toward <b>Emerson St</b>')).toBe('University Ave');
+      expect(extractRoadName('Turn <b>right</b> onto <b>El Camino Real</b>')).toBe('El Camino Real');
+      expect(extractRoadName('Slight right onto the <b>US-101 S</b> ramp to <b>San Jose</b>')).toBe('US-101 S');
+      expect(extractRoadName('Take the ferry')).toBeNull();
+    });
+
+    test('should build short spoken guidance', () => {
+      expect(buildSpokenInstruction('turn_left', 'University Ave', '')).toBe('Turn left onto University Ave');
+      expect(buildSpokenInstruction('depart', 'University Ave', '')).toBe('Start on University Ave');
+      expect(buildSpokenInstruction('ferry', 'Golden Gate Ferry', '')).toBe('Board the ferry');
+    });
+
+    test('should name the roundabout exit', () => {
+      const html = 'At the roundabout, take the <b>2nd</b> exit onto <b>Main St</b>';
+      expect(buildSpokenInstruction('roundabout_right', extractRoadName(html), html))
+        .toBe('At the roundabout, take the 2nd exit onto Main St');
+      expect(buildSpokenInstruction('roundabout_left', null, 'Enter the roundabout')).toBe('Enter the roundabout');
+    });
+  });
+
+  describe('Loop Route Selection', () => {
+    // Mock loop helpers (extracted from route generation)
+    const LOOP_RING_POINTS = 12;
+    const LOOP_DURATION_TOLERANCE_PERCENT = 15;
+    const LOOP_MIN_DURATION_FRACTION = 0.75;
+
+    function generateLoopSearchRing(center, radiusMeters) {
+      const earthRadius = 6371000;
+      const angularDistance = radiusMeters / earthRadius;
+      const lat1 = center[0] * Math.PI / 180;
+      const lng1 = center[1] * Math.PI / 180;
+
+      const ring = [];
+      for (let i = 0; i < LOOP_RING_POINTS; i++) {
+        const bearing = (2 * Math.PI * i) / LOOP_RING_POINTS;
+        const lat2 = Math.asin(
+          Math.sin(lat1) * Math.cos(angularDistance) +
+          Math.cos(lat1) * Math.sin(angularDistance) * Math.cos(bearing)
+        );
+        const lng2 = lng1 + Math.atan2(
+          Math.sin(bearing) * Math.sin(angularDistance) * Math.cos(lat1),
+          Math.cos(angularDistance) - Math.sin(lat1) * Math.sin(lat2)
+        );
+        ring.push([lat2 * 180 / Math.PI, lng2 * 180 / Math.PI]);
+      }
+      return ring;
+    }
+
+    function selectLoopVariant(variants, targetSeconds) {
+      const minTimeSeconds = targetSeconds * LOOP_MIN_DURATION_FRACTION;
+      const maxTimeSeconds = targetSeconds * (1 + LOOP_DURATION_TOLERANCE_PERCENT / 100);
+      let best = null;
+      let bestGap = Infinity;
+      let bestScore = -1;
+
+      for (const variant of variants) {
+        if (variant.time_seconds < minTimeSeconds || variant.time_seconds > maxTimeSeconds) continue;
+
+        const gap = Math.abs(variant.time_seconds - targetSeconds);
+        const score = variant.pois.reduce((sum, poi) => sum + poi.popularity_score, 0);
+        if (gap < bestGap || (gap === bestGap && score > bestScore)) {
+          best = variant;
+          bestGap = gap;
+          bestScore = score;
+        }
+      }
+
+      return best;
+    }
+
+    function isLoopRingTooSmall(variants, targetSeconds) {
+      return variants.every(variant => variant.time_seconds < targetSeconds * LOOP_MIN_DURATION_FRACTION);
+    }
+
+    function calculateDistanceMeters(from, to) {
+      const R = 6371000;
+      const dLat = (to[0] - from[0]) * Math.PI / 180;
+      const dLng = (to[1] - from[1]) * Math.PI / 180;
+      const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(from[0] * Math.PI / 180) * Math.cos(to[0] * Math.PI / 180) * Math.sin(dLng / 2) ** 2;
+      return 2 * R * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    const museum = { name: 'Museum', popularity_score: 80 };
+    const park = { name: 'Park', popularity_score: 60 };
+    const tower = { name: 'Tower', popularity_score: 70 };
+
+    test('should place ring points at the radius, clockwise from north', () => {
+      const center = [37.4419, -122.143];
+      const ring = generateLoopSearchRing(center, 5000);
+
+      expect(ring).toHaveLength(LOOP_RING_POINTS);
+      ring.forEach(point => expect(calculateDistanceMeters(center, point)).toBeCloseTo(5000, -1));
+      expect(ring[0][0]).toBeGreaterThan(center[0]);
+      expect(ring[0][1]).toBeCloseTo(center[1], 6);
+      expect(ring[3][1]).toBeGreaterThan(center[1]);
+      expect(ring[6][0]).toBeLessThan(center[0]);
+    });
+
+    test('should pick the loop closest to the target duration', () => {
+      const variants = [
+        { pois: [museum, park, tower], time_seconds: 6100 },
+        { pois: [museum, tower], time_seconds: 5300 },
+        { pois: [museum], time_seconds: 4600 }
+      ];
+      expect(selectLoopVariant(variants, 5400).pois).toEqual([museum, tower]);
+    });
+
+    test('should break equal gaps with the higher POI score', () => {
+      const variants = [
+        { pois: [park], time_seconds: 5200 },
+        { pois: [museum], time_seconds: 5600 }
+      ];
+      expect(selectLoopVariant(variants, 5400).pois).toEqual([museum]);
+    });
+
+    test('should reject loops far shorter than the target and ask for a wider ring', () => {
+      const variants = [
+        { pois: [museum, park], time_seconds: 2400 },
+        { pois: [museum], time_seconds: 1800 }
+      ];
+      expect(selectLoopVariant(variants, 5400)).toBeNull();
+      expect(isLoopRingTooSmall(variants, 5400)).toBe(true);
+    });
+
+    test('should not widen the ring when loops only run over the target', () => {
+      const variants = [{ pois: [museum], time_seconds: 7000 }];
+      expect(selectLoopVariant(variants, 5400)).toBeNull();
+      expect(isLoopRingTooSmall(variants, 5400)).toBe(false);
+    });
+
+    test('should widen the ring when no loop could be routed', () => {
+      expect(isLoopRingTooSmall([], 5400)).toBe(true);
+    });
+  });
+
+  describe('Route Cache Expiry', () => {
+    // Mock cache expiry (extracted from generate-route/index.ts)
+    const ROUTE_CACHE_TTL_HOURS = 24;
+    const TRAFFIC_ROUTE_CACHE_HOURS_AFTER_DEPARTURE = 3;
+
+    function calculateCacheExpiry(departureTime, now) {
+      const expiresAt = now.getTime() + ROUTE_CACHE_TTL_HOURS * 60 * 60 * 1000;
+      if (!departureTime) {
+        return new Date(expiresAt);
+      }
+
+      const trafficExpiresAt = new Date(departureTime).getTime() + TRAFFIC_ROUTE_CACHE_HOURS_AFTER_DEPARTURE * 60 * 60 * 1000;
+      return new Date(Math.min(expiresAt, trafficExpiresAt));
+    }
+
+    const now = new Date('2024-12-02T18:30:00Z');
+
+    test('should cache free-flow routes for a day', () => {
+      expect(calculateCacheExpiry(null, now).toISOString()).toBe('2024-12-03T18:30:00.000Z');
+    });
+
+    test('should stop serving predicted traffic a few hours after its departure', () => {
+      expect(calculateCacheExpiry(now.toISOString(), now).toISOString()).toBe('2024-12-02T21:30:00.000Z');
+      expect(calculateCacheExpiry('2024-12-03T16:00:00.000Z', now).toISOString()).toBe('2024-12-03T18:30:00.000Z');
+      expect(calculateCacheExpiry('2024-12-03T14:00:00.000Z', now).toISOString()).toBe('2024-12-03T17:00:00.000Z');
+    });
+  });
+
+  describe('Commuter Corridor Cache Hits', () => {
+    const { buildReplayPayload, buildRouteCacheKey, normalizeRouteOptions } = routeKeys;
+
+    // A commuter's saved trip from the Mission to downtown Palo Alto, as the app sends it
+    const home = [37.7599, -122.4148];
+    const work = [37.4443, -122.1607];
+    const commuterRequest = (start, end) => ({
+      start_location: { coordinates: start },
+      end_location: { coordinates: end },
+      departure_time: 'now',
+      preferences: { interests: ['history', 'architecture'], driving_speed: 'normal', avoid_tolls: false },
+      context: { trip_purpose: 'commute', group_size: 1 }
+    });
+
+    // 08:10 on Monday, 03:00 on Tuesday (the pre-generation run) and 08:25 on Tuesday in San Francisco (PST)
+    const mondayPeak = new Date('2024-12-02T16:10:00Z');
+    const offPeakRun = new Date('2024-12-03T11:00:00Z');
+    const tuesdayPeak = new Date('2024-12-03T16:25:00Z');
+
+    // Cache key generate-route computes for a request arriving at the given time
+    const cacheKeyAt = async (request, now, start, end) => {
+      jest.useFakeTimers({ now, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+      try {
+        return await buildRouteCacheKey(request, start, end, []);
+      } finally {
+        jest.useRealTimers();
+      }
+    };
+
+    test('should serve the next peak commute from the route pre-generated off its request', async () => {
+      // Monday's request is stored with its replay payload; the corridor run replays it off-peak
+      const monday = commuterRequest(home, work);
+      const pregenerated = await cacheKeyAt(buildReplayPayload(monday, mondayPeak), offPeakRun, home, work);
+      expect(pregenerated).toBe(await cacheKeyAt(monday, mondayPeak, home, work));
+
+      // Tuesday's request starts and ends a few meters away, spelling preferences differently
+      const tuesday = commuterRequest([37.75995, -122.41475], [37.44425, -122.16085]);
+      tuesday.preferences = { interests: ['architecture', 'history'] };
+      tuesday.context = { trip_purpose: 'commute' };
+      expect(await cacheKeyAt(tuesday, tuesdayPeak, tuesday.start_location.coordinates, tuesday.end_location.coordinates))
+        .toBe(pregenerated);
+    });
+
+    test('should keep commuters at other times off the pre-generated peak route', async () => {
+      const monday = commuterRequest(home, work);
+      const pregenerated = await cacheKeyAt(buildReplayPayload(monday, mondayPeak), offPeakRun, home, work);
+
+      // 17:30 on Tuesday
+      expect(await cacheKeyAt(commuterRequest(home, work), new Date('2024-12-04T01:30:00Z'), home, work)).not.toBe(pregenerated);
+      expect(await cacheKeyAt({ ...monday, departure_time: undefined, context: undefined }, tuesdayPeak, home, work))
+        .not.toBe(pregenerated);
+    });
+
+    test('should replay a popular traffic request under its original traffic bucket', () => {
+      const request = { ...commuterRequest(home, work), async: true };
+      const payload = buildReplayPayload(request, mondayPeak);
+
+      expect(payload.departure_time).toBeUndefined();
+      expect(payload.async).toBeUndefined();
+      expect(payload.context).toEqual({ trip_purpose: 'commute', group_size: 1, time_of_day: 'morning' });
+      expect(normalizeRouteOptions(payload, offPeakRun)).toEqual(normalizeRouteOptions(request, mondayPeak));
+    });
+  });
+
+  describe('Multi-Stop Itineraries', () => {
+    const { assignPOIsToLegs, locateStopsOnRoute, mergeRouteWaypoints, resolveViaOrder } = itinerary;
+
+    // A route heading north in 11 steps of about 1.1 km
+    const coordinates = Array.from({ length: 11 }, (_, i) => [37.0 + i * 0.01, -122.0]);
+    const poiAt = (name, index) => ({ name, location: [37.0 + index * 0.01, -121.999], metadata: { route_coordinate_index: index } });
+
+    test('should locate stops in visiting order along the route', () => {
+      const stops = locateStopsOnRoute([[37.031, -122.0], [37.069, -122.0]], coordinates);
+
+      expect(stops.map(stop => stop.route_coordinate_index)).toEqual([3, 7]);
+      expect(stops.map(stop => stop.stop_index)).toEqual([0, 1]);
+    });
+
+    test('should never place a later stop before an earlier one', () => {
+      // The second stop is nearest index 2, but it is visited after the first at index 6
+      const stops = locateStopsOnRoute([[37.06, -122.0], [37.02, -122.0]], coordinates);
+      expect(stops.map(stop => stop.route_coordinate_index)).toEqual([6, 6]);
+    });
+
+    test('should place a stop at the end of the route on the last coordinate', () => {
+      const stops = locateStopsOnRoute([[37.05, -122.0], [37.1, -122.0]], coordinates);
+      expect(stops[1].route_coordinate_index).toBe(coordinates.length - 1);
+
+      const [poi] = assignPOIsToLegs([poiAt('Pier', 10)], stops);
+      expect(poi.metadata.leg_index).toBe(2);
+    });
+
+    test('should assign POIs to the leg they sit on', () => {
+      const stops = locateStopsOnRoute([[37.03, -122.0], [37.07, -122.0]], coordinates);
+      const pois = assignPOIsToLegs([poiAt('Museum', 1), poiAt('Park', 5), poiAt('Tower', 9)], stops);
+
+      expect(pois.map(poi => poi.metadata.leg_index)).toEqual([0, 1, 2]);
+      expect(pois[1].metadata.route_coordinate_index).toBe(5);
+    });
+
+    test('should put a POI at a stop on the leg after the stop', () => {
+      const stops = locateStopsOnRoute([[37.03, -122.0]], coordinates);
+      const [poi] = assignPOIsToLegs([poiAt('Cafe', 3)], stops);
+
+      expect(poi.metadata.leg_index).toBe(1);
+    });
+
+    test('should interleave stops and POIs in route order, stops first at the same index', () => {
+      const stops = locateStopsOnRoute([[37.03, -122.0], [37.07, -122.0]], coordinates);
+      const pois = [poiAt('Tower', 9), poiAt('Cafe', 3), poiAt('Museum', 1)];
+      const waypoints = mergeRouteWaypoints(stops, pois);
+
+      expect(waypoints).toEqual([
+        { location: pois[2].location, stopover: false },
+        { location: stops[0].location, stopover: true },
+        { location: pois[1].location, stopover: false },
+        { location: stops[1].location, stopover: true },
+        { location: pois[0].location, stopover: false }
+      ]);
+    });
+
+    test('should keep the given stop order unless Directions may reorder it', () => {
+      expect(resolveViaOrder(3, false, [2, 0, 1])).toEqual([0, 1, 2]);
+      expect(resolveViaOrder(3, true, [2, 0, 1])).toEqual([2, 0, 1]);
+      expect(resolveViaOrder(3, true, undefined)).toEqual([0, 1, 2]);
+      expect(resolveViaOrder(3, true, [1, 0])).toEqual([0, 1, 2]);
+    });
+
+    test('should visit optimized stops in the reported via_order once POIs are merged in', () => {
+      // Stops sent out of route order; the baseline Directions call reorders them
+      const viaCoords = [[37.08, -122.0], [37.02, -122.0], [37.05, -122.0]];
+      const baselineWaypointOrder = [1, 2, 0];
+
+      const viaOrder = resolveViaOrder(viaCoords.length, true, baselineWaypointOrder);
+      const stops = locateStopsOnRoute(viaOrder.map(i => viaCoords[i]), coordinates);
+      const pois = assignPOIsToLegs([poiAt('Tower', 9), poiAt('Museum', 1), poiAt('Cafe', 4), poiAt('Park', 7)], stops);
+      const waypoints = mergeRouteWaypoints(stops, pois);
+
+      expect(viaOrder).toEqual(baselineWaypointOrder);
+      expect(stops.map(stop => stop.route_coordinate_index)).toEqual([2, 5, 8]);
+      expect(pois.map(poi => poi.metadata.leg_index)).toEqual([3, 0, 1, 2]);
+      expect(waypoints.filter(waypoint => waypoint.stopover).map(waypoint => waypoint.location))
+        .toEqual(viaOrder.map(i => viaCoords[i]));
+      expect(waypoints.map(waypoint => waypoint.stopover)).toEqual([false, true, false, true, false, true, false]);
+    });
+  });
+
+  describe('Route Alternatives', () => {
+    const { getPOISetKey, rankDistinctAlternatives, selectRouteAlternative } = alternatives;
+
+    const museum = { google_place_id: 'museum', name: 'Museum' };
+    const park = { google_place_id: 'park', name: 'Park' };
+    const tower = { google_place_id: 'tower', name: 'Tower' };
+
+    test('should key POI sets independently of visiting order', () => {
+      expect(getPOISetKey([tower, museum, park])).toBe(getPOISetKey([park, tower, museum]));
+      expect(getPOISetKey([museum, park])).not.toBe(getPOISetKey([museum, tower]));
+      expect(getPOISetKey([])).toBe('');
+    });
+
+    test('should collapse alternatives that visit the same POIs and rank the rest without gaps', () => {
+      const distinct = rankDistinctAlternatives([
+        { pois: [museum, park] },
+        { pois: [park, museum] },
+        { pois: [tower] }
+      ]);
+
+      expect(distinct.map(result => [result.label, result.rank])).toEqual([['max_scenic', 1], ['fastest', 2]]);
+    });
+
+    test('should keep a single alternative when every budget picks the same POIs', () => {
+      const distinct = rankDistinctAlternatives([{ pois: [museum] }, { pois: [museum] }, { pois: [museum] }]);
+
+      expect(distinct).toEqual([{ pois: [museum], label: 'max_scenic', rank: 1 }]);
+    });
+
+    // In-memory stand-in for the Supabase query builder
+    function createFakeSupabase(tables) {
+      const rpcCalls = [];
+      return {
+        tables,
+        rpcCalls,
+        rpc: (name, args) => {
+          rpcCalls.push({ name, args });
+          return Promise.resolve({ error: null });
+        },
+        from(table) {
+          const filters = [];
+          let values = null;
+          let single = false;
+          const builder = {
+            select: () => builder,
+            update: updateValues => {
+              values = updateValues;
+              return builder;
+            },
+            insert: rows => {
+              tables[table].push(...rows);
+              return Promise.resolve({ error: null });
+            },
+            eq: (column, value) => {
+              filters.push(row => row[column] === value);
+              return builder;
+            },
+            neq: (column, value) => {
+              filters.push(row => row[column] !== value);
+              return builder;
+            },
+            in: (column, list) => {
+              filters.push(row => list.includes(row[column]));
+              return builder;
+            },
+            is: (column, value) => {
+              filters.push(row => (row[column] ?? null) === value);
+              return builder;
+            },
+            not: (column, operator, value) => {
+              filters.push(row => (row[column] ?? null) !== value);
+              return builder;
+            },
+            single: () => {
+              single = true;
+              return builder;
+            },
+            then: resolve => {
+              const rows = tables[table].filter(row => filters.every(filter => filter(row)));
+              if (values) {
+                rows.forEach(row => Object.assign(row, values));
+              }
+              resolve(single
+                ? { data: rows[0] || null, error: rows[0] ? null : { code: 'PGRST116' } }
+                : { data: rows, error: null });
+            }
+          };
+          return builder;
+        }
+      };
+    }
+
+    // wakeJobWorker posts to process-jobs through the Deno environment
+    let fetchSpy;
+    beforeEach(() => {
+      global.Deno = { env: { get: name => ({ SUPABASE_URL: 'http://localhost:54321', SUPABASE_SERVICE_ROLE_KEY: 'service-key' })[name] } };
+      fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(new Response('{}'));
+    });
+
+    afterEach(() => {
+      fetchSpy.mockRestore();
+      delete global.Deno;
+    });
+
+    // Three alternatives of one request; the primary is selected by default
+    const createAlternatives = () => createFakeSupabase({
+      routes: [
+        { id: 'route-1', request_id: 'request-1', status: 'processing', is_selected: true, variant_rank: 1 },
+        { id: 'route-2', request_id: 'request-1', status: 'completed', is_selected: false, variant_rank: 2 },
+        { id: 'route-3', request_id: 'request-1', status: 'completed', is_selected: false, variant_rank: 3 }
+      ],
+      stories: [
+        { id: 'story-a', route_id: 'route-2', content: 'Story A', content_generated_at: '2024-12-02T10:00:00Z', audio_url: null, generation_metadata: { driving_speed: 'fast' } },
+        { id: 'story-b', route_id: 'route-2', content: 'Story B', content_generated_at: '2024-12-02T10:00:00Z', audio_url: null, generation_metadata: {} },
+        { id: 'story-c', route_id: 'route-2', content: 'Pending', content_generated_at: null, audio_url: null, generation_metadata: {} }
+      ],
+      generation_jobs: [
+        { story_id: 'story-b', route_id: 'route-2', stage: 'audio', status: 'queued' }
+      ]
+    });
+
+    test('should select one alternative and deselect its siblings', async () => {
+      const supabase = createAlternatives();
+      const { body } = await selectRouteAlternative(supabase, 'route-2');
+
+      expect(body).toMatchObject({ route_id: 'route-2', request_id: 'request-1', selected: true });
+      expect(supabase.tables.routes.map(route => route.is_selected)).toEqual([false, true, false]);
+      expect(supabase.rpcCalls.map(call => call.args.target_route_id)).toEqual(['route-1', 'route-2', 'route-3']);
+    });
+
+    test('should queue audio only for finished stories without a pending audio job', async () => {
+      const supabase = createAlternatives();
+      const { body } = await selectRouteAlternative(supabase, 'route-2');
+      const queued = supabase.tables.generation_jobs.filter(job => job.story_id !== 'story-b');
+
+      expect(body.audio_jobs_queued).toBe(1);
+      expect(queued).toHaveLength(1);
+      expect(queued[0]).toMatchObject({ stage: 'audio', story_id: 'story-a', status: 'queued' });
+      expect(queued[0].payload.voice_settings.speed).toBe('fast');
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+      expect(fetchSpy.mock.calls[0][0]).toBe('http://localhost:54321/functions/v1/process-jobs');
+    });
+
+    test('should not queue audio again when the same alternative is selected twice', async () => {
+      const supabase = createAlternatives();
+      await selectRouteAlternative(supabase, 'route-2');
+      const { body } = await selectRouteAlternative(supabase, 'route-2');
+
+      expect(body.audio_jobs_queued).toBe(0);
+      expect(supabase.tables.generation_jobs).toHaveLength(2);
+    });
+
+    test('should reject an unknown alternative without changing the selection', async () => {
+      const supabase = createAlternatives();
+      const { error } = await selectRouteAlternative(supabase, 'route-4');
+
+      expect(error).toMatchObject({ status: 404, code: 'ROUTE_NOT_FOUND' });
+      expect(supabase.tables.routes.map(route => route.is_selected)).toEqual([true, false, false]);
+      expect(supabase.tables.generation_jobs).toHaveLength(1);
+      expect(fetchSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Maps Fixture Keys', () => {
+    const { createFixtureMapsProvider, getFixturePath } = fixtureMaps;
+
+    // 08:10 and 08:40 PDT fall in the morning bucket, 16:00 PDT in the evening one
+    const directionsAt = (iso) => ({
+      origin: [37.7749, -122.4194],
+      destination: [37.4419, -122.143],
+      waypoints: [],
+      options: { mode: 'driving', avoid: [], departureTime: Date.parse(iso) / 1000 }
+    });
+
+    afterEach(() => {
+      delete global.Deno;
+    });
+
+    test('should key directions by traffic bucket rather than departure second', async () => {
+      const early = await getFixturePath('fixtures', 'directions', [directionsAt('2024-06-03T15:10:00Z')]);
+      const later = await getFixturePath('fixtures', 'directions', [directionsAt('2024-06-03T15:40:00Z')]);
+      const evening = await getFixturePath('fixtures', 'directions', [directionsAt('2024-06-03T23:00:00Z')]);
+
+      expect(early).toMatch(/^fixtures\/directions\/[0-9a-f]{64}\.json$/);
+      expect(later).toBe(early);
+      expect(evening).not.toBe(early);
+    });
+
+    test('should key distance matrix options by traffic bucket', async () => {
+      const matrixAt = (iso) => [[[37.7749, -122.4194]], [[37.4419, -122.143]], directionsAt(iso).options];
+
+      expect(await getFixturePath('fixtures', 'distanceMatrix', matrixAt('2024-06-03T15:10:00Z')))
+        .toBe(await getFixturePath('fixtures', 'distanceMatrix', matrixAt('2024-06-03T15:40:00Z')));
+    });
+
+    test('should throw a descriptive error when a fixture is missing', async () => {
+      global.Deno = { readTextFile: jest.fn().mockRejectedValue(new Error('No such file or directory')) };
+      const maps = createFixtureMapsProvider('fixtures');
+
+      await expect(maps.geocode('1 Market St, San Francisco')).rejects.toThrow(
+        /No maps fixture for geocode\(\["1 Market St, San Francisco"\]\) at fixtures\/geocode\/[0-9a-f]{64}\.json; record one with MAPS_PROVIDER=google and MAPS_FIXTURE_RECORD=true/
+      );
+    });
+  });
 });
\ No newline at end of file